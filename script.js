@@ -2,13 +2,42 @@ class TodoApp {
     constructor() {
         this.todos = [];
         this.filter = 'all';
+        this.tagFilter = []; // 選択中のタグ（すべてを含むタスクを表示）
+        this.tagFilterIds = null; // tagsインデックスで求めた、選択中のタグをすべて含むタスクのID
+        this.searchQuery = ''; // 検索ボックスの入力内容
+        this.searchTree = null; // 検索条件の構文木
+        this.collapsedIds = new Set(JSON.parse(localStorage.getItem('todoApp_collapsedIds') || '[]')); // 折りたたんだタスク
+        this.rollups = new Map(); // 描画時に集計した下位項目の進捗（タスクID → 集計）
         this.dbName = 'TodoAppDB';
-        this.dbVersion = 4; // バージョンを上げてスキーマを更新（コメントフィールド追加）
+        this.dbVersion = 7; // バージョンを上げてスキーマを更新（設定ストア追加）
         this.storeName = 'todos';
+        this.trashStoreName = 'trash';
+        this.settingsStoreName = 'settings';
+        this.trash = []; // ゴミ箱に移動したタスク
+        this.trashRetentionDays = parseInt(localStorage.getItem('todoApp_trashRetentionDays') ?? '30'); // ゴミ箱の自動削除日数（0は無期限）
+        this.workCalendar = this.loadWorkCalendar(); // スケジュールの稼働日・勤務時間の設定
+        this.holidayCache = new Map(); // 年ごとの祝日
         this.db = null;
         this.extractedTodos = []; // 抽出されたTODOアイテムを保存
         this.useLocalStorage = false; // ローカルストレージフォールバックフラグ
         this.isLoading = true; // ローディング状態フラグ
+        this.backupFormat = 'todo-app-backup'; // バックアップファイルの識別子
+        this.backupVersion = 1; // バックアップ形式のバージョン
+        this.draggingId = null; // ドラッグ中のタスクID
+        this.editBlockedBy = []; // 編集中の依存関係
+        this.lastSchedule = null; // 最後に生成したスケジュール（保存前）
+        this.lastScheduleOptions = null; // 最後に生成したスケジュールの条件（必要な作業時間の計算に使う）
+        this.icsTodos = []; // iCalendarから読み込んだ取り込み前のToDo
+        this.currentEmail = null; // .emlから読み込んだメールの差出人・日時
+        this.sourceEmail = null; // 解析したメール（作成したタスクに元のメールとして保存する）
+        this.extractionRules = this.getDefaultExtractionRules(); // メールからTODOを抽出するルール
+        this.ruleDraft = null; // 抽出ルール画面で編集中のルール
+        this.ruleType = 'todo'; // 抽出ルール画面で表示中の種類
+        this.rulesFormat = 'todo-app-extraction-rules'; // 抽出ルールファイルの識別子
+        this.undoStack = []; // 元に戻す操作の履歴
+        this.redoStack = []; // やり直す操作の履歴
+        this.historyLimit = 50; // 保持する履歴の最大数
+        this.openHistories = new Set(); // 記録中の操作（保存に成功した書き込みを集める）
         
         this.init();
     }
@@ -36,8 +65,30 @@ class TodoApp {
             return;
         }
         
+        try {
+            await this.migrateHierarchy();
+        } catch (error) {
+            console.error('階層データの移行エラー:', error);
+        }
+        
+        try {
+            await this.loadTrash();
+            await this.purgeExpiredTrash();
+        } catch (error) {
+            // ゴミ箱の読み込みに失敗してもタスクの表示は継続する
+            console.error('ゴミ箱読み込みエラー:', error);
+        }
+        
+        try {
+            await this.loadExtractionRules();
+        } catch (error) {
+            // 読み込めない場合は既定のルールで抽出する
+            console.error('抽出ルール読み込みエラー:', error);
+        }
+        
         try {
             this.setupEventListeners();
+            this.startTimerTicker();
         } catch (error) {
             console.error('イベントリスナー設定エラー:', error);
             return;
@@ -112,6 +163,7 @@ class TodoApp {
                         store.createIndex('category', 'category', { unique: false });
                         store.createIndex('parentId', 'parentId', { unique: false });
                         store.createIndex('status', 'status', { unique: false });
+                        store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
                     } else {
                         const store = event.currentTarget.transaction.objectStore(this.storeName);
                         if (!store.indexNames.contains('category')) {
@@ -123,6 +175,18 @@ class TodoApp {
                         if (!store.indexNames.contains('status')) {
                             store.createIndex('status', 'status', { unique: false });
                         }
+                        if (!store.indexNames.contains('tags')) {
+                            store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                        }
+                    }
+                    
+                    if (!db.objectStoreNames.contains(this.trashStoreName)) {
+                        const trashStore = db.createObjectStore(this.trashStoreName, { keyPath: 'id' });
+                        trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                    }
+
+                    if (!db.objectStoreNames.contains(this.settingsStoreName)) {
+                        db.createObjectStore(this.settingsStoreName, { keyPath: 'key' });
                     }
                 } catch (error) {
                     reject(error);
@@ -151,6 +215,7 @@ class TodoApp {
                         deadline: todo.deadline || '',
                         priority: todo.priority || 'medium',
                         comment: todo.comment || '',
+                        tags: todo.tags || [],
                         completedAt: todo.completedAt || null
                     }));
                     
@@ -173,7 +238,42 @@ class TodoApp {
 
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
-                    this.todos = request.result || [];
+                    this.todos = (request.result || []).map(todo => ({
+                        ...todo,
+                        tags: todo.tags || []
+                    }));
+                    resolve();
+                };
+            }
+        });
+    }
+
+    async loadTrash() {
+        return new Promise((resolve, reject) => {
+            if (this.useLocalStorage) {
+                // ローカルストレージから読み込み
+                try {
+                    const storedTrash = localStorage.getItem('todoApp_trash');
+                    this.trash = storedTrash ? JSON.parse(storedTrash) : [];
+                } catch (error) {
+                    console.error('ローカルストレージ読み込みエラー:', error);
+                    this.trash = [];
+                }
+                resolve();
+            } else {
+                // IndexedDBから読み込み
+                if (!this.db) {
+                    reject(new Error('Database not initialized'));
+                    return;
+                }
+
+                const transaction = this.db.transaction([this.trashStoreName], 'readonly');
+                const store = transaction.objectStore(this.trashStoreName);
+                const request = store.getAll();
+
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => {
+                    this.trash = request.result || [];
                     resolve();
                 };
             }
@@ -186,8 +286,10 @@ class TodoApp {
                 // ローカルストレージに保存
                 try {
                     todo.id = Date.now() + Math.random(); // ユニークIDを生成
+                    const recordHistory = this.captureWrite('todos', [todo.id]);
                     this.todos.push(todo);
                     localStorage.setItem('todoApp_todos', JSON.stringify(this.todos));
+                    recordHistory();
                     resolve();
                 } catch (error) {
                     console.error('ローカルストレージ保存エラー:', error);
@@ -207,7 +309,9 @@ class TodoApp {
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
                     todo.id = request.result;
+                    const recordHistory = this.captureWrite('todos', [todo.id]);
                     this.todos.push(todo);
+                    recordHistory();
                     resolve();
                 };
             }
@@ -221,8 +325,10 @@ class TodoApp {
                 try {
                     const index = this.todos.findIndex(t => t.id === todo.id);
                     if (index !== -1) {
+                        const recordHistory = this.captureWrite('todos', [todo.id]);
                         this.todos[index] = todo;
                         localStorage.setItem('todoApp_todos', JSON.stringify(this.todos));
+                        recordHistory();
                         resolve();
                     } else {
                         reject(new Error('Todo not found'));
@@ -241,6 +347,7 @@ class TodoApp {
                 const transaction = this.db.transaction([this.storeName], 'readwrite');
                 const store = transaction.objectStore(this.storeName);
                 const request = store.put(todo);
+                const recordHistory = this.captureWrite('todos', [todo.id]);
 
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
@@ -248,6 +355,7 @@ class TodoApp {
                     if (index !== -1) {
                         this.todos[index] = todo;
                     }
+                    recordHistory();
                     resolve();
                 };
             }
@@ -259,8 +367,10 @@ class TodoApp {
             if (this.useLocalStorage) {
                 // ローカルストレージから削除
                 try {
+                    const recordHistory = this.captureWrite('todos', [id]);
                     this.todos = this.todos.filter(todo => todo.id !== id);
                     localStorage.setItem('todoApp_todos', JSON.stringify(this.todos));
+                    recordHistory();
                     resolve();
                 } catch (error) {
                     console.error('ローカルストレージ削除エラー:', error);
@@ -276,10 +386,12 @@ class TodoApp {
                 const transaction = this.db.transaction([this.storeName], 'readwrite');
                 const store = transaction.objectStore(this.storeName);
                 const request = store.delete(id);
+                const recordHistory = this.captureWrite('todos', [id]);
 
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
                     this.todos = this.todos.filter(todo => todo.id !== id);
+                    recordHistory();
                     resolve();
                 };
             }
@@ -291,8 +403,10 @@ class TodoApp {
             if (this.useLocalStorage) {
                 // ローカルストレージをクリア
                 try {
+                    const recordHistory = this.captureWrite('todos', this.todos.map(todo => todo.id));
                     this.todos = [];
                     localStorage.removeItem('todoApp_todos');
+                    recordHistory();
                     resolve();
                 } catch (error) {
                     console.error('ローカルストレージクリアエラー:', error);
@@ -308,75 +422,355 @@ class TodoApp {
                 const transaction = this.db.transaction([this.storeName], 'readwrite');
                 const store = transaction.objectStore(this.storeName);
                 const request = store.clear();
+                const recordHistory = this.captureWrite('todos', this.todos.map(todo => todo.id));
 
                 request.onerror = () => reject(request.error);
                 request.onsuccess = () => {
                     this.todos = [];
+                    recordHistory();
                     resolve();
                 };
             }
         });
     }
 
-    async addTodo(text, category = 'major', parentId = null, priority = 'medium', status = 'not-started', time = 0, deadline = '', comment = '') {
-        if (text.trim() === '') {
+    // まとめて書き込むタスクのIDを先に決める（ゴミ箱のタスクとも重ならないようにする）
+    createTodoIdAllocator() {
+        if (this.useLocalStorage) {
+            return () => Date.now() + Math.random();
+        }
+        const ids = [...this.todos, ...this.trash].map(record => Number(record.id)).filter(Number.isFinite);
+        let next = Math.floor(Math.max(0, ...ids)) + 1;
+        return () => next++;
+    }
+
+    // 複数のストアへの書き込みを1つのトランザクションでまとめて反映する
+    // changes: { todos: { put: [...], remove: [...] }, trash: { put: [...], remove: [...] } }
+    async writeStores(changes) {
+        const storeNames = { todos: this.storeName, trash: this.trashStoreName };
+        const storageKeys = { todos: 'todoApp_todos', trash: 'todoApp_trash' };
+        const targets = Object.keys(changes);
+        const historyRecorders = targets.map(target => {
+            const { put = [], remove = [] } = changes[target];
+            return this.captureWrite(target, [...remove, ...put.map(record => record.id)]);
+        });
+        const recordHistory = () => historyRecorders.forEach(record => record());
+
+        const applyToMemory = () => {
+            targets.forEach(target => {
+                const { put = [], remove = [] } = changes[target];
+                const records = this[target].filter(record => !remove.includes(record.id));
+                put.forEach(record => {
+                    const index = records.findIndex(r => r.id === record.id);
+                    if (index !== -1) {
+                        records[index] = record;
+                    } else {
+                        records.push(record);
+                    }
+                });
+                this[target] = records;
+            });
+        };
+
+        return new Promise((resolve, reject) => {
+            if (this.useLocalStorage) {
+                const previous = { todos: this.todos, trash: this.trash };
+                try {
+                    applyToMemory();
+                    targets.forEach(target => {
+                        localStorage.setItem(storageKeys[target], JSON.stringify(this[target]));
+                    });
+                    recordHistory();
+                    resolve();
+                } catch (error) {
+                    // 途中で失敗した場合は書き込み前の状態に戻す
+                    console.error('ローカルストレージ書き込みエラー:', error);
+                    this.todos = previous.todos;
+                    this.trash = previous.trash;
+                    try {
+                        targets.forEach(target => {
+                            localStorage.setItem(storageKeys[target], JSON.stringify(this[target]));
+                        });
+                    } catch (rollbackError) {
+                        console.error('ローカルストレージ復旧エラー:', rollbackError);
+                    }
+                    reject(error);
+                }
+            } else {
+                if (!this.db) {
+                    reject(new Error('Database not initialized'));
+                    return;
+                }
+
+                const transaction = this.db.transaction(targets.map(target => storeNames[target]), 'readwrite');
+                targets.forEach(target => {
+                    const { put = [], remove = [] } = changes[target];
+                    const store = transaction.objectStore(storeNames[target]);
+                    remove.forEach(id => store.delete(id));
+                    put.forEach(record => store.put(record));
+                });
+
+                transaction.oncomplete = () => {
+                    applyToMemory();
+                    recordHistory();
+                    resolve();
+                };
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            }
+        });
+    }
+
+    // 履歴機能
+    cloneTodo(todo) {
+        return JSON.parse(JSON.stringify(todo));
+    }
+
+    // 操作の記録を始める（連動して更新されるタスクやゴミ箱もまとめて1つの操作として扱う）
+    // 記録するのは操作中に保存に成功したレコードだけで、書き込む前に直接変更するタスクは ids で渡して先に控えておく
+    beginHistory(label, ids = []) {
+        const idSet = new Set(ids);
+        const history = {
+            label: label,
+            before: {
+                todos: new Map(this.todos.filter(todo => idSet.has(todo.id)).map(todo => [todo.id, this.cloneTodo(todo)])),
+                trash: new Map()
+            },
+            after: { todos: new Map(), trash: new Map() }
+        };
+        this.openHistories.add(history);
+        return history;
+    }
+
+    // 書き込むレコードの変更前の状態を控え、書き込みに成功したら記録中の操作とタグの絞り込み結果に反映する関数を返す
+    captureWrite(target, ids) {
+        const tracksHistory = this.openHistories.size > 0;
+        const tracksTags = target === 'todos' && this.tagFilterIds !== null;
+        if (!tracksHistory && !tracksTags) return () => {};
+
+        const idSet = new Set(ids);
+        const before = tracksHistory ?
+            new Map(this[target].filter(record => idSet.has(record.id)).map(record => [record.id, this.cloneTodo(record)])) : new Map();
+        return () => {
+            const after = new Map(this[target].filter(record => idSet.has(record.id)).map(record => [record.id, record]));
+            // 絞り込み中のタグの付け外しは、インデックスを引き直さずに保持している結果へ反映する
+            if (tracksTags && this.tagFilterIds) {
+                idSet.forEach(id => {
+                    const record = after.get(id);
+                    if (record && this.tagFilter.every(tag => (record.tags || []).includes(tag))) {
+                        this.tagFilterIds.add(id);
+                    } else {
+                        this.tagFilterIds.delete(id);
+                    }
+                });
+            }
+            if (!tracksHistory) return;
+            this.openHistories.forEach(history => {
+                idSet.forEach(id => {
+                    if (!history.before[target].has(id)) {
+                        history.before[target].set(id, before.get(id) || null);
+                    }
+                    history.after[target].set(id, after.has(id) ? this.cloneTodo(after.get(id)) : null);
+                });
+            });
+        };
+    }
+
+    // 操作の記録を終える（finally から呼ぶ。保存に失敗した変更は含まれない）
+    commitHistory(history) {
+        if (!this.openHistories.delete(history)) return;
+        const changes = [];
+
+        Object.keys(history.after).forEach(target => {
+            history.after[target].forEach((after, id) => {
+                const before = history.before[target].get(id) || null;
+                if (JSON.stringify(before) !== JSON.stringify(after)) {
+                    changes.push({ target: target, before: before, after: after });
+                }
+            });
+        });
+
+        if (changes.length === 0) return;
+
+        this.undoStack.push({ label: history.label, changes: changes });
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    // 各変更はレコード単位で独立しているため、記録した順に適用して並び順を保つ
+    async applyHistoryChanges(changes, direction) {
+        const writes = {};
+
+        changes.forEach(change => {
+            const record = direction === 'undo' ? change.before : change.after;
+            const previous = direction === 'undo' ? change.after : change.before;
+
+            writes[change.target] = writes[change.target] || { put: [], remove: [] };
+            if (record) {
+                writes[change.target].put.push(this.cloneTodo(record));
+            } else {
+                writes[change.target].remove.push(previous.id);
+            }
+        });
+
+        await this.writeStores(writes);
+    }
+
+    async undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            this.showNotification('元に戻す操作がありません', 'info');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            await this.applyHistoryChanges(entry.changes, 'undo');
+            this.redoStack.push(entry);
+            this.hideLoading();
+            this.showNotification(`「${entry.label}」を元に戻しました`, 'info', {
+                label: 'やり直す',
+                handler: () => this.redo()
+            });
+        } catch (error) {
+            this.hideLoading();
+            console.error('Error undoing:', error);
+            // 書き込みに失敗した操作は履歴に戻し、もう一度元に戻せるようにする
+            this.undoStack.push(entry);
+            this.showNotification('元に戻せませんでした', 'error');
+        }
+    }
+
+    async redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            this.showNotification('やり直す操作がありません', 'info');
             return;
         }
 
+        try {
+            this.showLoading();
+            await this.applyHistoryChanges(entry.changes, 'redo');
+            this.undoStack.push(entry);
+            this.hideLoading();
+            this.showNotification(`「${entry.label}」をやり直しました`, 'info', this.getUndoAction());
+        } catch (error) {
+            this.hideLoading();
+            console.error('Error redoing:', error);
+            this.redoStack.push(entry);
+            this.showNotification('やり直せませんでした', 'error');
+        }
+    }
+
+    getUndoAction() {
+        return {
+            label: '元に戻す',
+            handler: () => this.undo()
+        };
+    }
+
+    // 新しいタスクのレコードを作る（手入力・メールからの追加で共通）
+    createTodoRecord({ text, parentId = null, priority = 'medium', status = 'not-started', time = 0, deadline = '', comment = '', recurrence = null, tags = [], source = null }) {
         const todo = {
-            text: text.trim(),
+            text: text,
             completed: false,
-            category: category,
+            category: this.getLevelCategory(this.getLevel({ parentId: parentId })),
             parentId: parentId,
             priority: priority,
             status: status,
-            time: parseInt(time) || 0,
+            time: time,
             deadline: deadline,
             comment: comment,
+            recurrence: recurrence,
+            tags: tags,
+            sessions: [],
+            order: this.getNextOrder(parentId),
             createdAt: new Date().toISOString()
         };
+        if (source) {
+            todo.source = source;
+        }
+
+        // 取り組み中で追加した場合はその時点から作業時間を計測する
+        if (status === 'in-progress') {
+            this.startWorkSession(todo);
+        }
+        return todo;
+    }
+
+    async addTodo(text, parentId = null, priority = 'medium', status = 'not-started', time = 0, deadline = '', comment = '', recurrence = null, tags = []) {
+        if (text.trim() === '') {
+            return;
+        }
+
+        const todo = this.createTodoRecord({
+            text: text.trim(),
+            parentId: parentId,
+            priority: priority,
+            status: status,
+            time: parseInt(time) || 0,
+            deadline: deadline,
+            comment: comment,
+            recurrence: recurrence,
+            tags: tags
+        });
 
+        const history = this.beginHistory('タスクの追加');
         try {
             this.showLoading();
             await this.saveTodo(todo);
             this.hideLoading();
-            this.showNotification('TODOが追加されました！');
+            this.showNotification('TODOが追加されました！', 'info', this.getUndoAction());
         } catch (error) {
             this.hideLoading();
             console.error('Error adding todo:', error);
             this.showNotification('TODOの追加に失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
         }
     }
 
     async toggleTodo(id) {
         const todo = this.todos.find(t => t.id === id);
         if (todo) {
-            todo.completed = !todo.completed;
-            // 完了日時を記録
-            if (todo.completed) {
-                todo.completedAt = new Date().toISOString();
+            const history = this.beginHistory(todo.completed ? '完了の取り消し' : 'タスクの完了');
+            const todosById = new Map(this.todos.map(t => [t.id, t]));
+            const changed = [];
+            if (!todo.completed) {
+                // 完了日時を記録
+                const completedAt = new Date().toISOString();
+                changed.push(this.markCompleted(todo, completedAt, todosById));
+                // 下位項目はすべて完了にし、全下位項目が完了した上位項目も完了にする
+                changed.push(...this.completeChildTodos(todo.id, completedAt, todosById));
+                changed.push(...this.checkParentCompletion(todo.parentId, completedAt, todosById));
             } else {
-                todo.completedAt = null;
+                const reopened = { ...todo, completed: false, completedAt: null };
+                todosById.set(reopened.id, reopened);
+                // 完了を取り消した場合は完了済みの上位項目も未完了に戻す
+                changed.push(reopened, ...this.reopenParentTodos(todo.parentId, todosById));
             }
+
+            let createdCount = 0;
             try {
                 this.showLoading();
-                await this.updateTodo(todo);
-                
-                // 下位項目が完了した場合、上位項目も自動で完了する
-                if (todo.completed && todo.category !== 'major') {
-                    await this.checkParentCompletion(todo.parentId);
-                }
-                
-                // 上位項目が完了した場合、下位項目も自動で完了する
-                if (todo.completed && todo.category === 'major') {
-                    await this.completeChildTodos(todo.id);
-                }
-                
+                await this.writeStores({ todos: { put: changed } });
+
+                // 繰り返しタスクが完了した場合、次回分を作成する
+                createdCount = await this.createNextOccurrences(changed.filter(t => t.completed));
                 this.hideLoading();
             } catch (error) {
                 this.hideLoading();
                 console.error('Error updating todo:', error);
                 this.showNotification('TODOの更新に失敗しました', 'error');
+            } finally {
+                // 保存できた変更だけが記録される（完了の保存後に次回分の作成で失敗した場合も元に戻せる）
+                this.commitHistory(history);
+            }
+
+            if (createdCount > 0) {
+                this.showNotification('次回の繰り返しタスクを作成しました', 'success', this.getUndoAction());
             }
         }
     }
@@ -384,7 +778,10 @@ class TodoApp {
     async startTodo(id) {
         const todo = this.todos.find(t => t.id === id);
         if (todo && todo.status === 'not-started') {
+            if (!this.confirmStartBlocked(todo)) return;
+            const history = this.beginHistory('取り組み開始', [todo.id]);
             todo.status = 'in-progress';
+            this.startWorkSession(todo);
             try {
                 this.showLoading();
                 await this.updateTodo(todo);
@@ -394,6 +791,8 @@ class TodoApp {
                 this.hideLoading();
                 console.error('Error starting todo:', error);
                 this.showNotification('ステータスの更新に失敗しました', 'error');
+            } finally {
+                this.commitHistory(history);
             }
         }
     }
@@ -401,7 +800,9 @@ class TodoApp {
     async pauseTodo(id) {
         const todo = this.todos.find(t => t.id === id);
         if (todo && todo.status === 'in-progress') {
+            const history = this.beginHistory('取り組み一時停止', [todo.id]);
             todo.status = 'not-started';
+            this.endWorkSession(todo);
             try {
                 this.showLoading();
                 await this.updateTodo(todo);
@@ -411,6 +812,8 @@ class TodoApp {
                 this.hideLoading();
                 console.error('Error pausing todo:', error);
                 this.showNotification('ステータスの更新に失敗しました', 'error');
+            } finally {
+                this.commitHistory(history);
             }
         }
     }
@@ -419,7 +822,14 @@ class TodoApp {
         const todo = this.todos.find(t => t.id === id);
         if (todo) {
             const newStatus = todo.status === 'not-started' ? 'in-progress' : 'not-started';
+            if (newStatus === 'in-progress' && !this.confirmStartBlocked(todo)) return;
+            const history = this.beginHistory('ステータスの変更', [todo.id]);
             todo.status = newStatus;
+            if (newStatus === 'in-progress') {
+                this.startWorkSession(todo);
+            } else {
+                this.endWorkSession(todo);
+            }
             try {
                 this.showLoading();
                 await this.updateTodo(todo);
@@ -431,6 +841,8 @@ class TodoApp {
                 this.hideLoading();
                 console.error('Error toggling status:', error);
                 this.showNotification('ステータスの更新に失敗しました', 'error');
+            } finally {
+                this.commitHistory(history);
             }
         }
     }
@@ -447,19 +859,123 @@ class TodoApp {
         const todo = this.todos.find(t => t.id === id);
         if (!todo) return;
 
-        // 確認ダイアログ
-        const confirmed = confirm(`「${todo.text}」を削除しますか？`);
-        if (!confirmed) return;
+        // 下位項目がある場合は扱いを選んでもらう
+        if (this.getDescendantIds(id).length > 0) {
+            this.openDeleteModal(id);
+            return;
+        }
+
+        await this.deleteTodoWithMode(id, 'cascade');
+    }
 
+    // mode: 'cascade' は下位項目もゴミ箱へ、'promote' は下位項目を一つ上の階層へ、'detach' は下位項目を大項目にする
+    async deleteTodoWithMode(id, mode) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo) return;
+
+        // 確認ダイアログの代わりに通知から元に戻せるようにする
+        // 削除と下位項目の付け替えは一つのトランザクションで行う
+        const history = this.beginHistory('タスクの削除');
         try {
             this.showLoading();
-            await this.deleteTodo(id);
+            if (mode === 'cascade') {
+                await this.moveToTrash([id, ...this.getDescendantIds(id)]);
+            } else {
+                const newParentId = mode === 'promote' ? (todo.parentId ?? null) : null;
+                await this.writeStores({
+                    todos: {
+                        put: this.getReparentedChildren(todo, newParentId),
+                        remove: [id]
+                    },
+                    trash: { put: [{ ...todo, deletedAt: new Date().toISOString() }] }
+                });
+            }
             this.hideLoading();
-            this.showNotification('TODOが削除されました！');
+            this.showNotification(`「${todo.text}」をゴミ箱に移動しました`, 'info', this.getUndoAction());
         } catch (error) {
             this.hideLoading();
             console.error('Error deleting todo:', error);
             this.showNotification('TODOの削除に失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
+        }
+    }
+
+    // 削除するタスクの直下の項目を新しい親項目へ付け替えた結果を返す（元のタスクの位置に並べる）
+    getReparentedChildren(todo, newParentId) {
+        const children = this.getSiblings(todo.id);
+        const siblings = this.getSiblings(newParentId).filter(t => t.id !== todo.id);
+        const index = newParentId === (todo.parentId ?? null) ?
+            this.getSiblings(newParentId).findIndex(t => t.id === todo.id) : siblings.length;
+        siblings.splice(index, 0, ...children);
+
+        const updated = new Map();
+        siblings.forEach((sibling, order) => {
+            if (children.includes(sibling) || sibling.order !== order) {
+                updated.set(sibling.id, { ...sibling, order: order });
+            }
+        });
+        children.forEach(child => {
+            updated.get(child.id).parentId = newParentId;
+        });
+
+        // 下位項目の区分も新しい階層に合わせる
+        const todosById = new Map(this.todos.filter(t => t.id !== todo.id).map(t => [t.id, updated.get(t.id) || t]));
+        children.flatMap(child => [child.id, ...this.getDescendantIds(child.id)]).forEach(childId => {
+            const record = todosById.get(childId);
+            const category = this.getLevelCategory(this.getLevel(record, todosById));
+            if (record.category !== category) {
+                updated.set(childId, { ...record, category: category });
+                todosById.set(childId, updated.get(childId));
+            }
+        });
+
+        return [...updated.values()];
+    }
+
+    openDeleteModal(id) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo) return;
+
+        const descendantCount = this.getDescendantIds(id).length;
+        const parent = this.todos.find(t => t.id === todo.parentId);
+        const renderSubtree = (item, visited) => {
+            const children = this.getSiblings(item.id).filter(child => !visited.has(child.id));
+            children.forEach(child => visited.add(child.id));
+            return `
+                <li>
+                    <span class="delete-subtree-text ${item.completed ? 'completed' : ''}">${this.escapeHtml(item.text)}</span>
+                    ${children.length > 0 ? `<ul>${children.map(child => renderSubtree(child, visited)).join('')}</ul>` : ''}
+                </li>
+            `;
+        };
+
+        document.getElementById('deleteSummary').textContent = `「${todo.text}」には${descendantCount}件の下位項目があります。下位項目の扱いを選んでください。`;
+        document.getElementById('deleteSubtree').innerHTML = `<ul>${renderSubtree(todo, new Set([todo.id]))}</ul>`;
+        document.getElementById('deletePromoteLabel').textContent = parent ?
+            `下位項目を「${parent.text}」の下に移動する` : '下位項目を一つ上の階層（大項目）に移動する';
+        document.querySelector('input[name="deleteMode"][value="promote"]').checked = true;
+
+        const modal = document.getElementById('deleteModal');
+        modal.dataset.deleteId = id;
+        modal.style.display = 'block';
+    }
+
+    closeDeleteModal() {
+        const modal = document.getElementById('deleteModal');
+        modal.style.display = 'none';
+        modal.dataset.deleteId = '';
+    }
+
+    async confirmDelete() {
+        const modal = document.getElementById('deleteModal');
+        const id = Number(modal.dataset.deleteId);
+        const selected = document.querySelector('input[name="deleteMode"]:checked');
+        const mode = selected ? selected.value : 'cascade';
+
+        this.closeDeleteModal();
+        if (id) {
+            await this.deleteTodoWithMode(id, mode);
         }
     }
 
@@ -470,7 +986,6 @@ class TodoApp {
 
         // モーダルに現在の値を設定
         const editText = document.getElementById('editText');
-        const editCategory = document.getElementById('editCategory');
         const editPriority = document.getElementById('editPriority');
         const editStatus = document.getElementById('editStatus');
         const editTime = document.getElementById('editTime');
@@ -478,7 +993,6 @@ class TodoApp {
         const editComment = document.getElementById('editComment');
         
         if (editText) editText.value = todo.text;
-        if (editCategory) editCategory.value = todo.category || 'major';
         if (editPriority) editPriority.value = todo.priority || 'medium';
         if (editStatus) editStatus.value = todo.status || 'not-started';
         if (editTime) {
@@ -487,13 +1001,20 @@ class TodoApp {
         }
         if (editDeadline) editDeadline.value = todo.deadline || '';
         if (editComment) editComment.value = todo.comment || '';
+        this.fillRecurrenceForm('edit', todo.recurrence);
+        document.getElementById('editTags').value = (todo.tags || []).join(', ');
+        document.getElementById('editManualCompletion').checked = !!todo.manualCompletion;
         
         // 親項目の選択肢を更新
-        this.updateEditParentOptions(todo.category, todo.parentId);
+        this.updateEditParentOptions(todo);
         
         // 編集対象のIDを保存
         const editModal = document.getElementById('editModal');
         editModal.dataset.editId = id;
+
+        // 依存関係は保存するまで編集中の一覧として保持する
+        this.editBlockedBy = [...(todo.blockedBy || [])];
+        this.renderEditBlockedBy();
         
         // モーダルを表示
         editModal.style.display = 'block';
@@ -504,33 +1025,10 @@ class TodoApp {
         document.getElementById('editModal').dataset.editId = '';
     }
 
-    updateEditParentOptions(category, currentParentId = null) {
-        const parentSelect = document.getElementById('editParent');
-        parentSelect.innerHTML = '<option value="">親項目を選択</option>';
-        
-        if (category === 'major') {
-            parentSelect.style.display = 'none';
-            return;
-        }
-        
-        parentSelect.style.display = 'block';
-        
-        let availableParents = [];
-        if (category === 'middle') {
-            availableParents = this.todos.filter(t => t.category === 'major');
-        } else if (category === 'minor') {
-            availableParents = this.todos.filter(t => t.category === 'middle');
-        }
-        
-        availableParents.forEach(parent => {
-            const option = document.createElement('option');
-            option.value = parent.id;
-            option.textContent = parent.text;
-            if (currentParentId && parent.id === currentParentId) {
-                option.selected = true;
-            }
-            parentSelect.appendChild(option);
-        });
+    updateEditParentOptions(todo) {
+        // 自分自身と下位項目は親項目にできない（循環参照の防止）
+        const excludedIds = new Set([todo.id, ...this.getDescendantIds(todo.id)]);
+        this.fillParentOptions(document.getElementById('editParent'), excludedIds, todo.parentId ?? null);
     }
 
     async saveEdit() {
@@ -544,62 +1042,104 @@ class TodoApp {
 
         const editTimeElement = document.getElementById('editTime');
         const newText = document.getElementById('editText').value.trim();
-        const newCategory = document.getElementById('editCategory').value;
-        const newParentId = document.getElementById('editParent').value ? parseInt(document.getElementById('editParent').value) : null;
+        const newParentId = document.getElementById('editParent').value ? Number(document.getElementById('editParent').value) : null;
         const newPriority = document.getElementById('editPriority').value;
         const newStatus = document.getElementById('editStatus').value;
         const newTime = editTimeElement ? parseFloat(editTimeElement.value) || 0 : 0;
         const newDeadline = document.getElementById('editDeadline').value || '';
         const newComment = document.getElementById('editComment').value || '';
+        const newRecurrence = this.readRecurrenceForm('edit');
+        const newTags = this.parseTags(document.getElementById('editTags').value);
+        const newManualCompletion = document.getElementById('editManualCompletion').checked;
+        const newBlockedBy = this.editBlockedBy.filter(blockerId => this.todos.some(t => t.id === blockerId));
 
         if (newText === '') {
             this.showNotification('タスク名を入力してください', 'error');
             return;
         }
 
+        if (newParentId !== null && (newParentId === todo.id || this.getDescendantIds(todo.id).includes(newParentId))) {
+            this.showNotification('自分自身の下位項目は親項目にできません', 'error');
+            return;
+        }
+
+        const cycle = this.findDependencyCycle(todo.id, newBlockedBy);
+        if (cycle) {
+            this.showNotification(`依存関係が循環するため保存できません（${cycle.join(' → ')}）`, 'error');
+            return;
+        }
+
         // タスクを更新
+        const history = this.beginHistory('タスクの編集', [todo.id, ...this.getDescendantIds(todo.id)]);
+        // 親項目を変えた場合は移動先の末尾に並べる
+        if ((todo.parentId ?? null) !== newParentId) {
+            todo.order = this.getNextOrder(newParentId);
+        }
         todo.text = newText;
-        todo.category = newCategory;
         todo.parentId = newParentId;
+        this.syncCategories([todo.id, ...this.getDescendantIds(todo.id)]);
         todo.priority = newPriority;
+        if (todo.status !== newStatus && !todo.completed) {
+            if (newStatus === 'in-progress') {
+                this.startWorkSession(todo);
+            } else {
+                this.endWorkSession(todo);
+            }
+        }
         todo.status = newStatus;
         todo.time = newTime;
         todo.deadline = newDeadline;
         todo.comment = newComment;
+        todo.recurrence = newRecurrence;
+        todo.tags = newTags;
+        todo.manualCompletion = newManualCompletion;
+        todo.blockedBy = newBlockedBy;
 
         try {
-            await this.updateTodo(todo);
+            const changedIds = new Set([todo.id, ...this.getDescendantIds(todo.id)]);
+            await this.writeStores({ todos: { put: this.todos.filter(t => changedIds.has(t.id)) } });
             this.closeEditModal();
             this.render();
-            this.showNotification('TODOが更新されました！');
+            this.showNotification('TODOが更新されました！', 'info', this.getUndoAction());
         } catch (error) {
             console.error('Error updating todo:', error);
             this.showNotification('TODOの更新に失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
         }
     }
 
     async clearCompleted() {
         const completedTodos = this.todos.filter(todo => todo.completed);
+        const ids = new Set();
+        completedTodos.forEach(todo => {
+            ids.add(todo.id);
+            this.getDescendantIds(todo.id).forEach(id => ids.add(id));
+        });
+        const history = this.beginHistory('完了済みの削除');
         try {
-            for (const todo of completedTodos) {
-                await this.deleteTodo(todo.id);
-            }
+            await this.moveToTrash([...ids]);
             this.render();
-            this.showNotification(`${completedTodos.length}個のTODOが削除されました！`);
+            this.showNotification(`${ids.size}個のTODOをゴミ箱に移動しました`, 'info', this.getUndoAction());
         } catch (error) {
             console.error('Error clearing completed todos:', error);
             this.showNotification('完了したTODOの削除に失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
         }
     }
 
     async clearAll() {
+        const history = this.beginHistory('すべて削除');
         try {
-            await this.clearAllTodos();
+            await this.moveToTrash(this.todos.map(todo => todo.id));
             this.render();
-            this.showNotification('すべてのTODOが削除されました！');
+            this.showNotification('すべてのTODOをゴミ箱に移動しました', 'info', this.getUndoAction());
         } catch (error) {
             console.error('Error clearing all todos:', error);
             this.showNotification('すべてのTODOの削除に失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
         }
     }
 
@@ -617,111 +1157,1282 @@ class TodoApp {
         }
         
         const filteredTodos = this.getFilteredTodos();
+        this.rollups = this.calculateRollups();
+
+        // 統計情報を更新（空表示の場合も件数を反映する）
+        this.updateStats();
+        this.renderTagFilters();
+        this.updateParentOptions();
+
+        if (this.filter === 'today') {
+            todoList.innerHTML = this.getTodayHTML(filteredTodos);
+            this.bindTodoEvents();
+            return;
+        }
+
+        if (this.filter === 'email') {
+            todoList.innerHTML = this.getEmailGroupsHTML(filteredTodos);
+            this.bindTodoEvents();
+            return;
+        }
 
         if (filteredTodos.length === 0) {
             todoList.innerHTML = this.getEmptyStateHTML();
             return;
         }
 
-        todoList.innerHTML = filteredTodos.map(todo => this.getTodoHTML(todo)).join('');
-        
-        // 統計情報を更新
-        this.updateStats();
+        todoList.innerHTML = this.getTreeHTML(filteredTodos);
         
         // イベントリスナーを再設定
         this.bindTodoEvents();
     }
 
-    setFilter(filter) {
-        this.filter = filter;
-        
-        // フィルターボタンのアクティブ状態を更新
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.remove('active');
+    // 親子関係に沿ってツリー表示する
+    // 条件に一致したタスクの上位項目は文脈として表示し、親項目が削除されたタスクはまとめて表示する
+    getTreeHTML(filteredTodos) {
+        const todosById = new Map(this.todos.map(todo => [todo.id, todo]));
+        const matchedIds = new Set(filteredTodos.map(todo => todo.id));
+        const shownIds = new Set(matchedIds);
+
+        filteredTodos.forEach(todo => {
+            let parent = todosById.get(todo.parentId);
+            while (parent && !shownIds.has(parent.id)) {
+                shownIds.add(parent.id);
+                parent = todosById.get(parent.parentId);
+            }
         });
-        document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
-        
-        // リストを再描画
-        this.render();
-    }
 
-    // 親項目の完了チェック
-    async checkParentCompletion(parentId) {
-        if (!parentId) return;
-        
-        const parent = this.todos.find(t => t.id === parentId);
-        if (!parent) return;
-        
-        const children = this.todos.filter(t => t.parentId === parentId);
-        const allChildrenCompleted = children.length > 0 && children.every(child => child.completed);
-        
-        if (allChildrenCompleted && !parent.completed) {
-            parent.completed = true;
-            await this.updateTodo(parent);
-            
-            // さらに上位の親項目もチェック
-            if (parent.parentId) {
-                await this.checkParentCompletion(parent.parentId);
+        const shown = this.todos
+            .filter(todo => shownIds.has(todo.id))
+            .sort((a, b) => this.compareOrder(a, b));
+        const childrenMap = new Map();
+        shown.forEach(todo => {
+            if (todo.parentId !== null && todo.parentId !== undefined && shownIds.has(todo.parentId)) {
+                if (!childrenMap.has(todo.parentId)) {
+                    childrenMap.set(todo.parentId, []);
+                }
+                childrenMap.get(todo.parentId).push(todo);
             }
-        }
-    }
+        });
 
-    // 子項目の完了処理
-    async completeChildTodos(parentId) {
-        const children = this.todos.filter(t => t.parentId === parentId && !t.completed);
-        
+        const rendered = new Set();
+        const collectDescendants = (todo) => {
+            let count = 0;
+            (childrenMap.get(todo.id) || []).forEach(child => {
+                if (rendered.has(child.id)) return;
+                rendered.add(child.id);
+                count += 1 + collectDescendants(child);
+            });
+            return count;
+        };
+        const renderNode = (todo) => {
+            rendered.add(todo.id);
+            const children = (childrenMap.get(todo.id) || []).filter(child => !rendered.has(child.id));
+            const collapsed = children.length > 0 && this.collapsedIds.has(todo.id);
+            const hiddenCount = collapsed ? collectDescendants(todo) : 0;
+            const childrenHTML = children.length > 0 && !collapsed ?
+                `<div class="todo-children">${children.map(child => renderNode(child)).join('')}</div>` : '';
+
+            return `
+                <div class="todo-node">
+                    ${this.getTodoHTML(todo, {
+                        hasChildren: children.length > 0,
+                        collapsed: collapsed,
+                        hiddenCount: hiddenCount,
+                        context: !matchedIds.has(todo.id)
+                    })}
+                    ${childrenHTML}
+                </div>
+            `;
+        };
+
+        const isRoot = (todo) => todo.parentId === null || todo.parentId === undefined;
+        const rootsHTML = shown.filter(isRoot).map(todo => renderNode(todo)).join('');
+
+        // 親項目が削除されたタスク（循環参照で辿れないものを含む）は最上位と分けて表示する
+        // 親項目が存在しないものを先に並べ、その下位項目はツリーとしてまとめる
+        const orphans = shown
+            .filter(todo => !rendered.has(todo.id))
+            .sort((a, b) => Number(todosById.has(a.parentId)) - Number(todosById.has(b.parentId)));
+        let orphanCount = 0;
+        const orphanItems = orphans.map(todo => {
+            if (rendered.has(todo.id)) return '';
+            orphanCount++;
+            return renderNode(todo);
+        }).join('');
+        const orphansHTML = orphanCount > 0 ? `
+            <div class="orphan-group">
+                <div class="orphan-group-header">
+                    <i class="fas fa-unlink"></i> 親項目が見つからないタスク (${orphanCount})
+                </div>
+                ${orphanItems}
+            </div>
+        ` : '';
+
+        return rootsHTML + orphansHTML;
+    }
+
+    // 階層の深さ（親項目をたどった数、大項目は0）
+    getLevel(todo, todosById = new Map(this.todos.map(t => [t.id, t]))) {
+        const visited = new Set([todo.id]);
+        let level = 0;
+        let parent = todosById.get(todo.parentId);
+        while (parent && !visited.has(parent.id)) {
+            visited.add(parent.id);
+            level++;
+            parent = todosById.get(parent.parentId);
+        }
+        return level;
+    }
+
+    // 表示・検索用の区分（4階層目以降は小項目として扱う）
+    getLevelCategory(level) {
+        return ['major', 'middle', 'minor'][Math.min(level, 2)];
+    }
+
+    getLevelLabel(level) {
+        return ['大項目', '中項目', '小項目'][level] || `第${level + 1}階層`;
+    }
+
+    // 保存済みの区分を親子関係から求め直す（変更したタスクを返す）
+    syncCategories(ids = this.todos.map(t => t.id)) {
+        const todosById = new Map(this.todos.map(t => [t.id, t]));
+        const changed = [];
+        ids.forEach(id => {
+            const todo = todosById.get(id);
+            if (!todo) return;
+            const category = this.getLevelCategory(this.getLevel(todo, todosById));
+            if (todo.category !== category) {
+                todo.category = category;
+                changed.push(todo);
+            }
+        });
+        return changed;
+    }
+
+    // 以前の大項目・中項目・小項目の区分を親子関係に合わせて移行する
+    async migrateHierarchy() {
+        const changed = this.syncCategories();
+        this.todos.forEach(todo => {
+            if (todo.parentId === undefined) {
+                todo.parentId = null;
+                if (!changed.includes(todo)) changed.push(todo);
+            }
+        });
+        if (changed.length > 0) {
+            await this.writeStores({ todos: { put: changed } });
+        }
+    }
+
+    // 並び順（order未設定の古いデータは作成順に並べる）
+    getOrderValue(todo) {
+        return typeof todo.order === 'number' ? todo.order : todo.id;
+    }
+
+    compareOrder(a, b) {
+        return this.getOrderValue(a) - this.getOrderValue(b) || a.id - b.id;
+    }
+
+    getSiblings(parentId) {
+        return this.todos
+            .filter(todo => (todo.parentId ?? null) === parentId)
+            .sort((a, b) => this.compareOrder(a, b));
+    }
+
+    getNextOrder(parentId) {
+        const siblings = this.getSiblings(parentId ?? null);
+        return siblings.length > 0 ? this.getOrderValue(siblings[siblings.length - 1]) + 1 : 0;
+    }
+
+    // 移動先の親項目を求める（移動できない場合はerrorを返す）
+    // position: 'before' | 'after' は対象の兄弟として、'inside' は対象の下位項目として移動する
+    getMovePlan(id, targetId, position) {
+        const todo = this.todos.find(t => t.id === id);
+        const target = this.todos.find(t => t.id === targetId);
+        if (!todo || !target || id === targetId) {
+            return { error: 'この位置には移動できません' };
+        }
+
+        const parentId = position === 'inside' ? target.id : (target.parentId ?? null);
+        if (parentId !== null && (parentId === id || this.getDescendantIds(id).includes(parentId))) {
+            return { error: '自分自身の下位項目には移動できません' };
+        }
+
+        if (parentId !== null && !this.todos.some(t => t.id === parentId)) {
+            return { error: '親項目が見つからないため移動できません' };
+        }
+
+        return { parentId: parentId };
+    }
+
+    async moveTodo(id, targetId, position) {
+        const plan = this.getMovePlan(id, targetId, position);
+        if (plan.error) {
+            this.showNotification(plan.error, 'error');
+            return false;
+        }
+
+        const todo = this.todos.find(t => t.id === id);
+        const target = this.todos.find(t => t.id === targetId);
+        const updated = new Map();
+        const edit = (record) => {
+            if (!updated.has(record.id)) {
+                updated.set(record.id, { ...record });
+            }
+            return updated.get(record.id);
+        };
+
+        edit(todo).parentId = plan.parentId;
+
+        // 移動先の兄弟を並べ直して連番を振り直す
+        const siblings = this.getSiblings(plan.parentId).filter(t => t.id !== id);
+        let index = siblings.length;
+        if (position !== 'inside') {
+            index = siblings.findIndex(t => t.id === target.id) + (position === 'after' ? 1 : 0);
+        }
+        siblings.splice(index, 0, todo);
+        siblings.forEach((sibling, order) => {
+            if (sibling.id === id || sibling.order !== order) {
+                edit(sibling).order = order;
+            }
+        });
+
+        // 区分（大項目・中項目・小項目）を移動先の階層に合わせる
+        const todosById = new Map(this.todos.map(t => [t.id, updated.get(t.id) || t]));
+        [id, ...this.getDescendantIds(id)].forEach(movedId => {
+            const category = this.getLevelCategory(this.getLevel(todosById.get(movedId), todosById));
+            if (todosById.get(movedId).category !== category) {
+                edit(todosById.get(movedId)).category = category;
+            }
+        });
+
+        const history = this.beginHistory('タスクの移動');
+        try {
+            await this.writeStores({ todos: { put: [...updated.values()] } });
+            // 折りたたまれた項目の中に入れた場合は見えるように展開する
+            if (position === 'inside' && this.collapsedIds.has(targetId)) {
+                this.toggleCollapse(targetId);
+            } else {
+                this.render();
+            }
+            return true;
+        } catch (error) {
+            console.error('Error moving todo:', error);
+            this.showNotification('タスクの移動に失敗しました', 'error');
+            return false;
+        } finally {
+            this.commitHistory(history);
+        }
+    }
+
+    // キーボードでの並べ替え（Alt+↑↓で兄弟内の移動、Alt+←→で階層の上げ下げ）
+    async moveTodoByKey(id, key) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo) return;
+
+        const siblings = this.getSiblings(todo.parentId ?? null);
+        const index = siblings.findIndex(t => t.id === id);
+        let moved = false;
+
+        if (key === 'ArrowUp' && index > 0) {
+            moved = await this.moveTodo(id, siblings[index - 1].id, 'before');
+        } else if (key === 'ArrowDown' && index < siblings.length - 1) {
+            moved = await this.moveTodo(id, siblings[index + 1].id, 'after');
+        } else if (key === 'ArrowRight' && index > 0) {
+            moved = await this.moveTodo(id, siblings[index - 1].id, 'inside');
+        } else if (key === 'ArrowLeft' && todo.parentId !== null && todo.parentId !== undefined) {
+            moved = await this.moveTodo(id, todo.parentId, 'after');
+        }
+
+        if (moved) {
+            const item = document.querySelector(`#todoList .todo-item[data-id="${id}"]`);
+            if (item) item.focus();
+        }
+    }
+
+    getDropPosition(item, event) {
+        const rect = item.getBoundingClientRect();
+        const ratio = (event.clientY - rect.top) / rect.height;
+        if (ratio < 0.25) return 'before';
+        if (ratio > 0.75) return 'after';
+        return 'inside';
+    }
+
+    toggleCollapse(id) {
+        if (this.collapsedIds.has(id)) {
+            this.collapsedIds.delete(id);
+        } else {
+            this.collapsedIds.add(id);
+        }
+        // 存在しないタスクの状態は保存しない
+        const existingIds = new Set(this.todos.map(todo => todo.id));
+        localStorage.setItem('todoApp_collapsedIds', JSON.stringify([...this.collapsedIds].filter(collapsedId => existingIds.has(collapsedId))));
+        this.render();
+    }
+
+    setFilter(filter) {
+        this.filter = filter;
+        
+        // フィルターボタンのアクティブ状態を更新
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
+        
+        // リストを再描画
+        this.render();
+    }
+
+    // 完了状態の連動は保存に成功するまで this.todos を変えないよう、コピーに対して計算する
+    // todosById は計算中のタスク（変更したものはコピーに差し替える）
+
+    // 完了にしたコピーを返す
+    markCompleted(todo, completedAt, todosById) {
+        const copy = { ...todo, completed: true, completedAt: completedAt };
+        this.endWorkSession(copy);
+        todosById.set(copy.id, copy);
+        return copy;
+    }
+
+    // 下位項目がすべて完了した上位項目を完了にする（manualCompletionの項目とその上位は対象外）
+    checkParentCompletion(parentId, completedAt, todosById) {
+        const changed = [];
+        const visited = new Set();
+        let parent = todosById.get(parentId);
+
+        while (parent && !visited.has(parent.id) && !parent.completed && !parent.manualCompletion) {
+            visited.add(parent.id);
+            const children = [...todosById.values()].filter(t => t.parentId === parent.id);
+            if (!children.every(child => child.completed)) break;
+
+            changed.push(this.markCompleted(parent, completedAt, todosById));
+            parent = todosById.get(parent.parentId);
+        }
+        return changed;
+    }
+
+    // 下位項目（孫以下を含む）をすべて完了にする
+    completeChildTodos(parentId, completedAt, todosById) {
+        const descendantIds = new Set(this.getDescendantIds(parentId));
+        return [...todosById.values()]
+            .filter(t => descendantIds.has(t.id) && !t.completed)
+            .map(child => this.markCompleted(child, completedAt, todosById));
+    }
+
+    // 完了済みの上位項目をすべて未完了に戻す
+    reopenParentTodos(parentId, todosById) {
+        const changed = [];
+        const visited = new Set();
+        let parent = todosById.get(parentId);
+
+        while (parent && !visited.has(parent.id)) {
+            visited.add(parent.id);
+            if (parent.completed) {
+                const copy = { ...parent, completed: false, completedAt: null };
+                todosById.set(copy.id, copy);
+                changed.push(copy);
+            }
+            parent = todosById.get(parent.parentId);
+        }
+        return changed;
+    }
+
+    // 依存関係（blockedBy: 先に完了している必要があるタスクのID）
+    // 未完了の依存先タスクを返す（削除済みのタスクは無視する）
+    getBlockers(todo) {
+        const blockedBy = todo.blockedBy || [];
+        return this.todos.filter(t => blockedBy.includes(t.id) && !t.completed);
+    }
+
+    // 依存関係を設定したときに循環するかを調べ、循環する場合はその経路を返す
+    findDependencyCycle(todoId, blockedByIds) {
+        const todosById = new Map(this.todos.map(t => [t.id, t]));
+        const visited = new Set();
+        const visit = (id, path) => {
+            if (id === todoId) return [...path, id];
+            if (visited.has(id)) return null;
+            visited.add(id);
+
+            const todo = todosById.get(id);
+            for (const nextId of (todo && todo.blockedBy) || []) {
+                const cycle = visit(nextId, [...path, id]);
+                if (cycle) return cycle;
+            }
+            return null;
+        };
+
+        for (const id of blockedByIds) {
+            const cycle = visit(id, [todoId]);
+            if (cycle) {
+                return cycle.map(cycleId => (todosById.get(cycleId) || {}).text || cycleId);
+            }
+        }
+        return null;
+    }
+
+    // 依存先が未完了のタスクを開始する前に確認する
+    confirmStartBlocked(todo) {
+        const blockers = this.getBlockers(todo);
+        if (blockers.length === 0) return true;
+        return confirm(`「${todo.text}」は次のタスクの完了待ちです。\n${blockers.map(t => `・${t.text}`).join('\n')}\n\n取り組みを開始しますか？`);
+    }
+
+    renderEditBlockedBy() {
+        const editId = Number(document.getElementById('editModal').dataset.editId);
+        const list = document.getElementById('editBlockedByList');
+        const select = document.getElementById('editBlockedBySelect');
+        const todosById = new Map(this.todos.map(t => [t.id, t]));
+
+        list.innerHTML = this.editBlockedBy.map(id => {
+            const blocker = todosById.get(id);
+            if (!blocker) return '';
+            return `
+                <span class="dependency-chip ${blocker.completed ? 'completed' : ''}">
+                    ${this.escapeHtml(blocker.text)}
+                    <button type="button" class="dependency-remove" data-id="${id}" title="依存関係を外す">&times;</button>
+                </span>
+            `;
+        }).join('') || '<span class="dependency-empty">なし</span>';
+        list.querySelectorAll('.dependency-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                this.editBlockedBy = this.editBlockedBy.filter(id => id !== Number(button.dataset.id));
+                this.renderEditBlockedBy();
+            });
+        });
+
+        select.innerHTML = '<option value="">依存するタスクを追加...</option>';
+        this.todos
+            .filter(t => t.id !== editId && !this.editBlockedBy.includes(t.id))
+            .sort((a, b) => Number(a.completed) - Number(b.completed) || this.compareOrder(a, b))
+            .forEach(t => {
+                const option = document.createElement('option');
+                option.value = t.id;
+                option.textContent = t.completed ? `${t.text}（完了）` : t.text;
+                select.appendChild(option);
+            });
+    }
+
+    addEditBlockedBy(value) {
+        const id = Number(value);
+        if (!id || this.editBlockedBy.includes(id)) return;
+        this.editBlockedBy.push(id);
+        this.renderEditBlockedBy();
+    }
+
+    // 繰り返しタスク
+    // rule: { type: 'daily' | 'weekdays' | 'weekly' | 'monthly' | 'interval', days, mode, day, week, weekday, interval }
+    parseLocalDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // 月のN番目（-1は最終）の曜日を求める
+    getNthWeekdayOfMonth(year, month, week, weekday) {
+        if (week === -1) {
+            const date = new Date(year, month + 1, 0);
+            while (date.getDay() !== weekday) {
+                date.setDate(date.getDate() - 1);
+            }
+            return date;
+        }
+
+        const date = new Date(year, month, 1);
+        while (date.getDay() !== weekday) {
+            date.setDate(date.getDate() + 1);
+        }
+        date.setDate(date.getDate() + (week - 1) * 7);
+        return date.getMonth() === month ? date : null;
+    }
+
+    // 指定日より後で繰り返しルールに一致する最初の日付を返す
+    getNextOccurrence(rule, fromDateString) {
+        const from = this.parseLocalDate(fromDateString);
+        const next = new Date(from);
+
+        switch (rule.type) {
+            case 'daily':
+                next.setDate(next.getDate() + 1);
+                break;
+            case 'interval':
+                next.setDate(next.getDate() + Math.max(1, rule.interval || 1));
+                break;
+            case 'weekdays':
+                do {
+                    next.setDate(next.getDate() + 1);
+                } while (next.getDay() === 0 || next.getDay() === 6);
+                break;
+            case 'weekly': {
+                const days = rule.days && rule.days.length > 0 ? rule.days : [from.getDay()];
+                do {
+                    next.setDate(next.getDate() + 1);
+                } while (!days.includes(next.getDay()));
+                break;
+            }
+            case 'monthly':
+                for (let offset = 0; offset <= 12; offset++) {
+                    const year = from.getFullYear();
+                    const month = from.getMonth() + offset;
+                    let candidate;
+                    if (rule.mode === 'weekday') {
+                        candidate = this.getNthWeekdayOfMonth(year, month, rule.week, rule.weekday);
+                    } else {
+                        // 31日指定などは月末に丸める
+                        const lastDay = new Date(year, month + 1, 0).getDate();
+                        candidate = new Date(year, month, Math.min(rule.day, lastDay));
+                    }
+                    if (candidate && candidate > from) {
+                        return this.formatDateForComparison(candidate);
+                    }
+                }
+                return null;
+            default:
+                return null;
+        }
+
+        return this.formatDateForComparison(next);
+    }
+
+    getRecurrenceLabel(rule) {
+        if (!rule) return '';
+        const weekdays = ['日', '月', '火', '水', '木', '金', '土'];
+
+        switch (rule.type) {
+            case 'daily':
+                return '毎日';
+            case 'weekdays':
+                return '平日';
+            case 'weekly':
+                return `毎週${(rule.days || []).map(day => weekdays[day]).join('・')}`;
+            case 'monthly':
+                if (rule.mode === 'weekday') {
+                    return `毎月${rule.week === -1 ? '最終' : `第${rule.week}`}${weekdays[rule.weekday]}曜`;
+                }
+                return `毎月${rule.day}日`;
+            case 'interval':
+                return `${rule.interval}日ごと`;
+            default:
+                return '';
+        }
+    }
+
+    // 完了した繰り返しタスクの次回分を下位項目ごと作成する
+    async createNextOccurrences(completedTodos) {
+        const completedIds = new Set(completedTodos.map(todo => todo.id));
+        // 上位項目も繰り返す場合は上位項目のコピーに含まれるため除外する
+        const isCoveredByAncestor = (todo) => {
+            let parent = this.todos.find(t => t.id === todo.parentId);
+            while (parent) {
+                if (completedIds.has(parent.id) && parent.recurrence) return true;
+                parent = this.todos.find(t => t.id === parent.parentId);
+            }
+            return false;
+        };
+
+        let createdCount = 0;
+        for (const todo of completedTodos) {
+            if (!todo.recurrence || isCoveredByAncestor(todo)) continue;
+            // 完了の取り消しと再完了で重複して作成しない
+            if (todo.nextOccurrenceId && this.todos.some(t => t.id === todo.nextOccurrenceId)) continue;
+
+            const today = this.formatDateForComparison(new Date());
+            const baseDate = this.normalizeDeadline(todo.deadline) || today;
+            let nextDeadline = this.getNextOccurrence(todo.recurrence, baseDate);
+            // 期限を過ぎてから完了した場合は今日以降の回まで進める
+            while (nextDeadline && nextDeadline < today) {
+                nextDeadline = this.getNextOccurrence(todo.recurrence, nextDeadline);
+            }
+            if (!nextDeadline) continue;
+
+            const shiftDays = Math.round((this.parseLocalDate(nextDeadline) - this.parseLocalDate(baseDate)) / (24 * 60 * 60 * 1000));
+            const copy = await this.copyOccurrence(todo, todo.parentId, shiftDays, nextDeadline);
+
+            await this.updateTodo({ ...todo, nextOccurrenceId: copy.id });
+            createdCount++;
+        }
+        return createdCount;
+    }
+
+    async copyOccurrence(source, parentId, shiftDays, deadline = null) {
+        // 依存関係・並び順・元のメールは前回分のものなので引き継がない
+        const { id, completedAt, nextOccurrenceId, plan, pinned, blockedBy, order, source: origin, ...fields } = source;
+        let newDeadline = deadline;
+        if (newDeadline === null) {
+            const sourceDeadline = this.normalizeDeadline(source.deadline);
+            if (sourceDeadline) {
+                const date = this.parseLocalDate(sourceDeadline);
+                date.setDate(date.getDate() + shiftDays);
+                newDeadline = this.formatDateForComparison(date);
+            } else {
+                newDeadline = '';
+            }
+        }
+
+        const copy = {
+            ...this.cloneTodo(fields),
+            parentId: parentId,
+            completed: false,
+            completedAt: null,
+            status: 'not-started',
+            sessions: [],
+            blockedBy: [],
+            order: this.getNextOrder(parentId),
+            deadline: newDeadline,
+            createdAt: new Date().toISOString()
+        };
+        await this.saveTodo(copy);
+
+        const children = this.todos
+            .filter(t => t.parentId === source.id && t.id !== copy.id)
+            .sort((a, b) => this.compareOrder(a, b));
         for (const child of children) {
-            child.completed = true;
-            await this.updateTodo(child);
+            await this.copyOccurrence(child, copy.id, shiftDays);
         }
+        return copy;
+    }
+
+    readRecurrenceForm(prefix) {
+        const type = document.getElementById(`${prefix}Recurrence`).value;
+
+        switch (type) {
+            case 'daily':
+            case 'weekdays':
+                return { type: type };
+            case 'weekly': {
+                const days = [...document.querySelectorAll(`input[name="${prefix}RecurrenceDays"]:checked`)]
+                    .map(input => parseInt(input.value));
+                return { type: type, days: days.length > 0 ? days : [new Date().getDay()] };
+            }
+            case 'monthly':
+                if (document.getElementById(`${prefix}RecurrenceMonthMode`).value === 'weekday') {
+                    return {
+                        type: type,
+                        mode: 'weekday',
+                        week: parseInt(document.getElementById(`${prefix}RecurrenceWeek`).value),
+                        weekday: parseInt(document.getElementById(`${prefix}RecurrenceWeekday`).value)
+                    };
+                }
+                return {
+                    type: type,
+                    mode: 'date',
+                    day: Math.min(31, Math.max(1, parseInt(document.getElementById(`${prefix}RecurrenceMonthDay`).value) || 1))
+                };
+            case 'interval':
+                return { type: type, interval: Math.max(1, parseInt(document.getElementById(`${prefix}RecurrenceInterval`).value) || 1) };
+            default:
+                return null;
+        }
+    }
+
+    fillRecurrenceForm(prefix, rule) {
+        document.getElementById(`${prefix}Recurrence`).value = rule ? rule.type : '';
+        document.querySelectorAll(`input[name="${prefix}RecurrenceDays"]`).forEach(input => {
+            input.checked = !!(rule && rule.days && rule.days.includes(parseInt(input.value)));
+        });
+        document.getElementById(`${prefix}RecurrenceMonthMode`).value = rule && rule.mode === 'weekday' ? 'weekday' : 'date';
+        document.getElementById(`${prefix}RecurrenceMonthDay`).value = rule && rule.day ? rule.day : new Date().getDate();
+        document.getElementById(`${prefix}RecurrenceWeek`).value = rule && rule.week ? rule.week : 1;
+        document.getElementById(`${prefix}RecurrenceWeekday`).value = rule && rule.weekday !== undefined ? rule.weekday : 1;
+        document.getElementById(`${prefix}RecurrenceInterval`).value = rule && rule.interval ? rule.interval : 2;
+        this.updateRecurrenceOptions(prefix);
+    }
+
+    // 繰り返しの種類に応じて詳細設定の表示を切り替える
+    updateRecurrenceOptions(prefix) {
+        const type = document.getElementById(`${prefix}Recurrence`).value;
+        const options = document.getElementById(`${prefix}RecurrenceOptions`);
+        let visible = false;
+
+        options.querySelectorAll('.recurrence-group').forEach(group => {
+            const matched = group.dataset.recurrence === type;
+            group.style.display = matched ? 'flex' : 'none';
+            visible = visible || matched;
+        });
+        options.style.display = visible ? 'flex' : 'none';
+
+        const weekdayMode = document.getElementById(`${prefix}RecurrenceMonthMode`).value === 'weekday';
+        options.querySelector('.recurrence-month-date').style.display = weekdayMode ? 'none' : 'inline';
+        options.querySelector('.recurrence-month-weekday').style.display = weekdayMode ? 'inline' : 'none';
+    }
+
+    // 作業時間の記録
+    getOpenSession(todo) {
+        const sessions = todo.sessions || [];
+        const last = sessions[sessions.length - 1];
+        return last && !last.end ? last : null;
+    }
+
+    startWorkSession(todo) {
+        if (this.getOpenSession(todo)) return;
+        todo.sessions = [...(todo.sessions || []), { start: new Date().toISOString(), end: null }];
+    }
+
+    endWorkSession(todo) {
+        const session = this.getOpenSession(todo);
+        if (!session) return;
+        todo.sessions = todo.sessions.map(s => s === session ? { ...s, end: new Date().toISOString() } : s);
+    }
+
+    // 記録した作業セッションから実績時間（ミリ秒）を計算する（計測中のセッションは現在時刻まで）
+    getActualDuration(todo, now = Date.now()) {
+        return (todo.sessions || []).reduce((sum, session) => {
+            const start = new Date(session.start).getTime();
+            const end = session.end ? new Date(session.end).getTime() : now;
+            return sum + Math.max(0, end - start);
+        }, 0);
+    }
+
+    getActualHours(todo) {
+        return Math.round(this.getActualDuration(todo) / 36000) / 100;
+    }
+
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${hours}:${minutes}:${seconds}`;
+    }
+
+    formatVariance(hours) {
+        const rounded = Math.round(hours * 10) / 10;
+        return `${rounded > 0 ? '+' : ''}${rounded}時間`;
+    }
+
+    // 計測中のタイマー表示を毎秒更新する
+    startTimerTicker() {
+        if (this.timerInterval) return;
+        this.timerInterval = setInterval(() => this.updateTimers(), 1000);
+    }
+
+    updateTimers() {
+        document.querySelectorAll('.todo-timer.running').forEach(element => {
+            const todo = this.todos.find(t => String(t.id) === element.dataset.timerId);
+            if (!todo) return;
+            const label = element.querySelector('.todo-timer-value');
+            if (label) {
+                label.textContent = this.formatDuration(this.getActualDuration(todo));
+            }
+        });
     }
 
     getFilteredTodos() {
+        let filtered;
         switch (this.filter) {
             case 'active':
-                return this.todos.filter(t => !t.completed);
+                filtered = this.todos.filter(t => !t.completed);
+                break;
             case 'completed':
-                return this.todos.filter(t => t.completed);
+                filtered = this.todos.filter(t => t.completed);
+                break;
             case 'not-started':
-                return this.todos.filter(t => t.status === 'not-started');
+                filtered = this.todos.filter(t => t.status === 'not-started');
+                break;
             case 'in-progress':
-                return this.todos.filter(t => t.status === 'in-progress');
+                filtered = this.todos.filter(t => t.status === 'in-progress');
+                break;
             case 'high':
-                return this.todos.filter(t => t.priority === 'high');
+                filtered = this.todos.filter(t => t.priority === 'high');
+                break;
             case 'medium':
-                return this.todos.filter(t => t.priority === 'medium');
+                filtered = this.todos.filter(t => t.priority === 'medium');
+                break;
             case 'low':
-                return this.todos.filter(t => t.priority === 'low');
+                filtered = this.todos.filter(t => t.priority === 'low');
+                break;
             default:
-                return this.todos;
+                filtered = this.todos;
         }
+
+        // タグフィルター（選択したタグをすべて含むタスク）
+        // インデックスで求めた結果がない場合（ローカルストレージ使用時など）はメモリ上のタグで絞り込む
+        if (this.tagFilter.length > 0) {
+            filtered = this.tagFilterIds ?
+                filtered.filter(t => this.tagFilterIds.has(t.id)) :
+                filtered.filter(t => this.tagFilter.every(tag => (t.tags || []).includes(tag)));
+        }
+
+        // 検索条件
+        if (this.searchTree) {
+            filtered = filtered.filter(t => this.matchesSearch(t, this.searchTree));
+        }
+
+        return filtered;
+    }
+
+    // 検索機能
+    // 構文: 単語（タスク名・コメントを全文検索）、"フレーズ"、field:value、AND / OR / NOT（-単語）、( )
+    setSearchQuery(query) {
+        this.searchQuery = query;
+        this.searchTree = this.parseSearchQuery(query);
+        this.render();
     }
 
-    getTodoHTML(todo) {
+    tokenizeSearchQuery(query) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < query.length) {
+            const char = query[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char });
+                i++;
+            } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+                // 先頭の「-」は否定
+                tokens.push({ type: 'NOT' });
+                i++;
+            } else {
+                // 引用符で囲まれた部分は空白や括弧を含めて1語として扱う
+                let value = '';
+                let quoted = false;
+                while (i < query.length && !/[\s()]/.test(query[i])) {
+                    if (query[i] === '"') {
+                        const end = query.indexOf('"', i + 1);
+                        const close = end === -1 ? query.length : end;
+                        value += query.slice(i + 1, close);
+                        quoted = true;
+                        i = close + 1;
+                    } else {
+                        value += query[i];
+                        i++;
+                    }
+                }
+
+                if (!quoted && (value === 'AND' || value === 'OR' || value === 'NOT')) {
+                    tokens.push({ type: value });
+                } else if (!quoted && value === '|') {
+                    tokens.push({ type: 'OR' });
+                } else if (value) {
+                    tokens.push({ type: 'word', value: value, quoted: quoted });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    // 再帰下降で構文木を作る（括弧の対応が取れていない場合も可能な範囲で解釈する）
+    parseSearchQuery(query) {
+        const tokens = this.tokenizeSearchQuery(query || '');
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const parseOr = () => {
+            const items = [parseAnd()];
+            while (peek() && peek().type === 'OR') {
+                position++;
+                items.push(parseAnd());
+            }
+            const valid = items.filter(item => item);
+            return valid.length > 1 ? { type: 'or', items: valid } : valid[0] || null;
+        };
+        const parseAnd = () => {
+            const items = [];
+            while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+                if (peek().type === 'AND') {
+                    position++;
+                    continue;
+                }
+                items.push(parseNot());
+            }
+            const valid = items.filter(item => item);
+            return valid.length > 1 ? { type: 'and', items: valid } : valid[0] || null;
+        };
+        const parseNot = () => {
+            if (peek() && peek().type === 'NOT') {
+                position++;
+                const item = parseNot();
+                return item ? { type: 'not', item: item } : null;
+            }
+            return parsePrimary();
+        };
+        const parsePrimary = () => {
+            const token = tokens[position++];
+            if (!token) return null;
+            if (token.type === '(') {
+                const node = parseOr();
+                if (peek() && peek().type === ')') position++;
+                return node;
+            }
+            return this.createSearchTerm(token);
+        };
+
+        let tree = null;
+        while (position < tokens.length) {
+            const node = parseOr();
+            // 余分な閉じ括弧は読み飛ばす
+            if (peek() && peek().type === ')') position++;
+            if (node) {
+                tree = tree ? { type: 'and', items: [tree, node] } : node;
+            }
+        }
+        return tree;
+    }
+
+    createSearchTerm(token) {
+        const value = token.value;
+        const match = !token.quoted && value.match(/^(priority|status|due|category|is|tag):(.+)$/i);
+
+        if (match) {
+            const field = match[1].toLowerCase();
+            if (field === 'due') {
+                const comparison = match[2].match(/^(<=|>=|<|>|=)?(.+)$/);
+                return { type: 'term', field: field, operator: comparison[1] || '=', value: comparison[2] };
+            }
+            return { type: 'term', field: field, value: match[2] };
+        }
+        if (!token.quoted && value.toLowerCase() === 'overdue') {
+            return { type: 'term', field: 'is', value: 'overdue' };
+        }
+        return { type: 'term', field: 'text', value: value };
+    }
+
+    matchesSearch(todo, node) {
+        switch (node.type) {
+            case 'and':
+                return node.items.every(item => this.matchesSearch(todo, item));
+            case 'or':
+                return node.items.some(item => this.matchesSearch(todo, item));
+            case 'not':
+                return !this.matchesSearch(todo, node.item);
+            default:
+                return this.matchesSearchTerm(todo, node);
+        }
+    }
+
+    matchesSearchTerm(todo, term) {
+        const value = term.value.toLowerCase();
+        const today = this.formatDateForComparison(new Date());
+        const aliases = {
+            priority: { '高': 'high', '中': 'medium', '低': 'low' },
+            status: { done: 'completed', '完了': 'completed', '取り組み前': 'not-started', '取り組み中': 'in-progress', todo: 'not-started', doing: 'in-progress' },
+            category: { '大項目': 'major', '中項目': 'middle', '小項目': 'minor' }
+        };
+        const resolve = (field) => (aliases[field] && aliases[field][value]) || value;
+
+        switch (term.field) {
+            case 'text':
+                return `${todo.text}\n${todo.comment || ''}`.toLowerCase().includes(value);
+            case 'priority':
+                return (todo.priority || 'medium') === resolve('priority');
+            case 'status': {
+                const status = resolve('status');
+                if (status === 'completed') return !!todo.completed;
+                return !todo.completed && (todo.status || 'not-started') === status;
+            }
+            case 'category':
+                return this.getLevelCategory(this.getLevel(todo)) === resolve('category');
+            case 'tag':
+                return (todo.tags || []).some(tag => tag.toLowerCase() === value.replace(/^#/, ''));
+            case 'due': {
+                const deadline = this.normalizeDeadline(todo.deadline);
+                if (value === 'none') return !deadline;
+                const target = value === 'today' ? today : this.normalizeDeadline(value);
+                if (!deadline || !target) return false;
+                switch (term.operator) {
+                    case '<': return deadline < target;
+                    case '<=': return deadline <= target;
+                    case '>': return deadline > target;
+                    case '>=': return deadline >= target;
+                    default: return deadline === target;
+                }
+            }
+            case 'is':
+                switch (value) {
+                    case 'done':
+                    case 'completed':
+                        return !!todo.completed;
+                    case 'open':
+                    case 'active':
+                        return !todo.completed;
+                    case 'overdue': {
+                        const deadline = this.normalizeDeadline(todo.deadline);
+                        return !todo.completed && !!deadline && deadline < today;
+                    }
+                    case 'recurring':
+                        return !!todo.recurrence;
+                    case 'blocked':
+                        return !todo.completed && this.getBlockers(todo).length > 0;
+                    default:
+                        return false;
+                }
+            default:
+                return false;
+        }
+    }
+
+    // ハイライト対象の語（否定条件を除く全文検索の語）を集める
+    getSearchHighlightTerms(node = this.searchTree, negated = false) {
+        if (!node) return [];
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return node.items.flatMap(item => this.getSearchHighlightTerms(item, negated));
+            case 'not':
+                return this.getSearchHighlightTerms(node.item, !negated);
+            default:
+                return node.field === 'text' && !negated ? [node.value] : [];
+        }
+    }
+
+    highlightSearchTerms(text) {
+        const terms = this.getSearchHighlightTerms();
+        if (terms.length === 0) {
+            return this.escapeHtml(text);
+        }
+
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return text.split(pattern).map((part, index) => (
+            index % 2 === 1 ? `<mark class="search-highlight">${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)
+        )).join('');
+    }
+
+    // タグ機能
+    normalizeTag(tag) {
+        return tag
+            .replace(/^#+/, '')
+            .replace(/["'<>,]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 30);
+    }
+
+    parseTags(value) {
+        const tags = [];
+        (value || '').split(/[,、]/).forEach(part => {
+            const tag = this.normalizeTag(part);
+            if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+                tags.push(tag);
+            }
+        });
+        return tags;
+    }
+
+    // すべてのタグを使用回数の多い順に返す
+    getAllTags() {
+        const counts = new Map();
+        this.todos.forEach(todo => {
+            (todo.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'ja'))
+            .map(([tag, count]) => ({ tag, count }));
+    }
+
+    async toggleTagFilter(tag) {
+        if (this.tagFilter.includes(tag)) {
+            this.tagFilter = this.tagFilter.filter(t => t !== tag);
+        } else {
+            this.tagFilter = [...this.tagFilter, tag];
+        }
+        await this.applyTagFilter();
+    }
+
+    async clearTagFilter() {
+        this.tagFilter = [];
+        await this.applyTagFilter();
+    }
+
+    // タグの選択が変わったときだけ tags インデックスで対象のタスクを求め、結果を保持して描き直す
+    // （ローカルストレージ使用時や取得に失敗した場合はメモリ上のタグで絞り込む）
+    async applyTagFilter() {
+        this.tagFilterIds = null;
+        if (!this.useLocalStorage && this.db && this.tagFilter.length > 0) {
+            const tags = [...this.tagFilter];
+            try {
+                const ids = await this.findTodoIdsByTags(tags);
+                // 取得中に選択が変わった場合は、新しい選択での取得に任せる
+                if (tags.join('\n') !== this.tagFilter.join('\n')) return;
+                this.tagFilterIds = ids;
+            } catch (error) {
+                console.error('Error filtering by tags:', error);
+            }
+        }
+        this.render();
+    }
+
+    // 指定したタグをすべて含むタスクのIDをtagsインデックス（multiEntry）から取得する
+    async findTodoIdsByTags(tags) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index('tags');
+            const results = [];
+            tags.forEach((tag, i) => {
+                const request = index.getAllKeys(tag);
+                request.onsuccess = () => {
+                    results[i] = request.result || [];
+                };
+            });
+
+            transaction.oncomplete = () => {
+                const [first = [], ...rest] = results;
+                resolve(new Set(first.filter(id => rest.every(ids => ids.includes(id)))));
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    renderTagFilters() {
+        const container = document.getElementById('tagFilters');
+        if (!container) return;
+
+        const allTags = this.getAllTags();
+        // 削除などで使われなくなったタグは選択を解除する
+        const selected = this.tagFilter.filter(tag => allTags.some(t => t.tag === tag));
+        if (selected.length !== this.tagFilter.length) {
+            this.tagFilter = selected;
+            this.tagFilterIds = null;
+        }
+
+        if (allTags.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'flex';
+        container.innerHTML = `
+            <span class="tag-filters-label"><i class="fas fa-tags"></i></span>
+            ${allTags.map(({ tag, count }) => `
+                <button class="tag-filter-btn ${this.tagFilter.includes(tag) ? 'active' : ''}" data-tag="${this.escapeAttribute(tag)}">
+                    #${this.escapeHtml(tag)} <span class="tag-count">${count}</span>
+                </button>
+            `).join('')}
+            ${this.tagFilter.length > 0 ? '<button class="tag-filter-clear" id="clearTagFilter">解除</button>' : ''}
+        `;
+
+        container.querySelectorAll('.tag-filter-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleTagFilter(btn.dataset.tag));
+        });
+        const clearButton = document.getElementById('clearTagFilter');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.clearTagFilter());
+        }
+    }
+
+    // カンマ区切りのタグ入力に候補を表示する
+    setupTagAutocomplete(inputId) {
+        const input = document.getElementById(inputId);
+        const suggestions = document.getElementById(`${inputId}Suggestions`);
+        if (!input || !suggestions) return;
+
+        input.addEventListener('input', () => this.showTagSuggestions(inputId));
+        input.addEventListener('focus', () => this.showTagSuggestions(inputId));
+        input.addEventListener('blur', () => {
+            setTimeout(() => {
+                suggestions.style.display = 'none';
+            }, 150);
+        });
+        input.addEventListener('keydown', (e) => {
+            const first = suggestions.querySelector('.tag-suggestion');
+            if (e.key === 'Tab' && suggestions.style.display !== 'none' && first) {
+                e.preventDefault();
+                this.applyTagSuggestion(inputId, first.dataset.tag);
+            }
+        });
+        suggestions.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.tag-suggestion');
+            if (item) {
+                e.preventDefault();
+                this.applyTagSuggestion(inputId, item.dataset.tag);
+            }
+        });
+    }
+
+    showTagSuggestions(inputId) {
+        const input = document.getElementById(inputId);
+        const suggestions = document.getElementById(`${inputId}Suggestions`);
+        const parts = input.value.split(/[,、]/);
+        const current = this.normalizeTag(parts[parts.length - 1]).toLowerCase();
+        const entered = parts.slice(0, -1).map(part => this.normalizeTag(part).toLowerCase());
+
+        const candidates = this.getAllTags()
+            .map(({ tag }) => tag)
+            .filter(tag => !entered.includes(tag.toLowerCase()))
+            .filter(tag => current === '' || (tag.toLowerCase().includes(current) && tag.toLowerCase() !== current))
+            .slice(0, 8);
+
+        if (candidates.length === 0) {
+            suggestions.style.display = 'none';
+            return;
+        }
+
+        suggestions.innerHTML = candidates.map(tag => `
+            <div class="tag-suggestion" data-tag="${this.escapeAttribute(tag)}">#${this.escapeHtml(tag)}</div>
+        `).join('');
+        suggestions.style.display = 'block';
+    }
+
+    applyTagSuggestion(inputId, tag) {
+        const input = document.getElementById(inputId);
+        const parts = input.value.split(/[,、]/).slice(0, -1).map(part => part.trim()).filter(part => part);
+        parts.push(tag);
+        input.value = `${parts.join(', ')}, `;
+        input.focus();
+        this.showTagSuggestions(inputId);
+    }
+
+    getTodoHTML(todo, options = {}) {
         const completedClass = todo.completed ? 'completed' : '';
+        const contextClass = options.context ? 'tree-context' : '';
+        const toggleButton = options.hasChildren ?
+            `<button class="tree-toggle" onclick="todoApp.toggleCollapse(${todo.id})" title="${options.collapsed ? '展開' : '折りたたむ'}">
+                <i class="fas fa-chevron-${options.collapsed ? 'right' : 'down'}"></i>
+            </button>` :
+            '<span class="tree-toggle-spacer"></span>';
+        const rollup = this.getRollup(todo);
+        const hiddenBadge = options.collapsed ? `<span class="todo-hidden-count" title="折りたたまれた下位項目">+${options.hiddenCount}</span>` : '';
         const checkedClass = todo.completed ? 'checked' : '';
-        const categoryClass = todo.category || 'major';
+        const level = this.getLevel(todo);
+        const categoryClass = this.getLevelCategory(level);
         const priorityBadge = todo.priority ? `<span class="todo-priority ${todo.priority}">${this.getPriorityLabel(todo.priority)}</span>` : '';
         const statusBadge = todo.status ? `<span class="todo-status ${todo.status} ${!todo.completed ? 'clickable' : ''}" ${!todo.completed ? `onclick="todoApp.toggleStatus(${todo.id})" title="クリックしてステータスを変更"` : ''}>${this.getStatusLabel(todo.status)}</span>` : '';
         const timeBadge = todo.time ? `<span class="todo-time">${todo.time}時間</span>` : '';
+        const actualDuration = this.getActualDuration(todo);
+        const timerBadge = this.getOpenSession(todo) && !todo.completed ?
+            `<span class="todo-timer running" data-timer-id="${todo.id}" title="実績時間（計測中）"><i class="fas fa-stopwatch"></i> <span class="todo-timer-value">${this.formatDuration(actualDuration)}</span></span>` :
+            (actualDuration > 0 ? `<span class="todo-timer" title="実績時間">実績${this.getActualHours(todo)}時間</span>` : '');
         const deadlineBadge = todo.deadline ? `<span class="todo-deadline">${this.formatDate(todo.deadline)}</span>` : '';
-        const categoryBadge = `<span class="todo-category ${categoryClass}">${this.getCategoryLabel(todo.category)}</span>`;
+        const tagBadges = (todo.tags || []).map(tag => `<span class="todo-tag ${this.tagFilter.includes(tag) ? 'active' : ''}" data-tag="${this.escapeAttribute(tag)}" title="このタグで絞り込む">#${this.escapeHtml(tag)}</span>`).join('');
+        const recurrenceBadge = todo.recurrence ? `<span class="todo-recurrence" title="繰り返し"><i class="fas fa-redo"></i> ${this.getRecurrenceLabel(todo.recurrence)}</span>` : '';
+        const categoryBadge = `<span class="todo-category ${categoryClass}">${this.getLevelLabel(level)}</span>`;
+        const draggable = options.draggable !== false;
+        const planBadge = todo.plan && !todo.completed ?
+            `<span class="todo-plan" title="スケジュールの予定"><i class="fas fa-calendar-day"></i> ${this.formatDate(todo.plan.date)} ${todo.plan.startTime}${todo.pinned ? ' <i class="fas fa-thumbtack"></i>' : ''}</span>` : '';
+        const blockers = todo.completed ? [] : this.getBlockers(todo);
+        const blockedBadge = blockers.length > 0 ?
+            `<span class="todo-blocked" title="完了待ち: ${this.escapeAttribute(blockers.map(t => t.text).join('、'))}"><i class="fas fa-lock"></i> 待ち${blockers.length}件</span>` : '';
         const commentBadge = todo.comment ? `<span class="todo-comment" onclick="todoApp.toggleCommentView(${todo.id})" title="コメントを表示"><i class="fas fa-comment"></i></span>` : '';
         
         return `
-            <div class="todo-item ${completedClass} ${categoryClass}" data-id="${todo.id}">
+            <div class="todo-item ${completedClass} ${categoryClass} ${contextClass}" data-id="${todo.id}" ${draggable ? 'draggable="true" tabindex="0"' : ''}>
+                ${draggable ? '<span class="drag-handle" title="ドラッグで移動（Alt+矢印キーでも移動できます）"><i class="fas fa-grip-vertical"></i></span>' : ''}
+                ${toggleButton}
                 <div class="todo-checkbox ${checkedClass}" onclick="todoApp.toggleTodo(${todo.id})"></div>
-                <div class="todo-text">${this.escapeHtml(todo.text)}</div>
+                <div class="todo-text">${this.highlightSearchTerms(todo.text)}</div>
+                ${hiddenBadge}
                 ${categoryBadge}
                 ${priorityBadge}
                 ${statusBadge}
                 ${timeBadge}
+                ${timerBadge}
                 ${deadlineBadge}
+                ${planBadge}
+                ${recurrenceBadge}
+                ${blockedBadge}
+                ${tagBadges}
                 ${commentBadge}
+                ${rollup ? this.getRollupHTML(rollup) : ''}
                 ${todo.comment ? `<div class="todo-comment-content" id="comment-${todo.id}" style="display: none;">
                     <div class="comment-content">
                         <h4>5W1Hコメント:</h4>
-                        <pre>${this.escapeHtml(todo.comment)}</pre>
+                        <pre>${this.highlightSearchTerms(todo.comment)}</pre>
                     </div>
                 </div>` : ''}
                 <div class="todo-actions">
@@ -734,6 +2445,9 @@ class TodoApp {
                                 <i class="fas fa-pause"></i>
                             </button>`
                     ) : ''}
+                    ${todo.source ? `<button class="todo-btn source" onclick="todoApp.openSourceModal(${todo.id})" title="元のメールを表示">
+                        <i class="fas fa-envelope"></i>
+                    </button>` : ''}
                     <button class="todo-btn edit" onclick="todoApp.openEditModal(${todo.id})" title="編集">
                         <i class="fas fa-edit"></i>
                     </button>
@@ -789,7 +2503,15 @@ class TodoApp {
             }
         };
 
-        const currentMessage = messages[this.filter];
+        const currentMessage = this.searchTree ? {
+            icon: 'fas fa-search',
+            title: '検索条件に一致するタスクがありません',
+            message: `「${this.escapeHtml(this.searchQuery)}」に一致するタスクはありません`
+        } : this.tagFilter.length > 0 ? {
+            icon: 'fas fa-tags',
+            title: '条件に一致するタスクがありません',
+            message: `タグ ${this.tagFilter.map(tag => `#${this.escapeHtml(tag)}`).join(' ')} のタスクはありません`
+        } : messages[this.filter];
         
         return `
             <div class="empty-state">
@@ -803,13 +2525,159 @@ class TodoApp {
     bindTodoEvents() {
         // チェックボックスのイベントは既にHTMLに埋め込まれているので、
         // ここでは必要に応じて追加のイベントを設定
+        document.querySelectorAll('#todoList .todo-tag').forEach(chip => {
+            chip.addEventListener('click', () => this.toggleTagFilter(chip.dataset.tag));
+        });
+
+        // ドラッグ&ドロップで並べ替え・親項目の変更を行う
+        const clearDropMarks = () => {
+            document.querySelectorAll('#todoList .drop-before, #todoList .drop-after, #todoList .drop-inside, #todoList .drop-invalid')
+                .forEach(el => el.classList.remove('drop-before', 'drop-after', 'drop-inside', 'drop-invalid'));
+        };
+        document.querySelectorAll('#todoList .todo-item[draggable="true"]').forEach(item => {
+            const id = Number(item.dataset.id);
+
+            item.addEventListener('dragstart', (e) => {
+                this.draggingId = id;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(id));
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => {
+                this.draggingId = null;
+                item.classList.remove('dragging');
+                clearDropMarks();
+            });
+            item.addEventListener('dragover', (e) => {
+                if (this.draggingId === null || this.draggingId === undefined) return;
+                e.preventDefault();
+                const position = this.getDropPosition(item, e);
+                const valid = !this.getMovePlan(this.draggingId, id, position).error;
+                e.dataTransfer.dropEffect = valid ? 'move' : 'none';
+                clearDropMarks();
+                item.classList.add(valid ? `drop-${position}` : 'drop-invalid');
+            });
+            item.addEventListener('dragleave', () => {
+                item.classList.remove('drop-before', 'drop-after', 'drop-inside', 'drop-invalid');
+            });
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                clearDropMarks();
+                const draggingId = this.draggingId;
+                this.draggingId = null;
+                if (draggingId !== null && draggingId !== undefined && draggingId !== id) {
+                    this.moveTodo(draggingId, id, this.getDropPosition(item, e));
+                }
+            });
+            item.addEventListener('keydown', (e) => {
+                if (e.target !== item || !e.altKey) return;
+                if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+                    e.preventDefault();
+                    this.moveTodoByKey(id, e.key);
+                }
+            });
+        });
+    }
+
+    // 進捗の集計（親項目の表示・統計・レポートで共通の計算を使う）
+    calculateRollup(todos) {
+        const open = todos.filter(t => !t.completed);
+        const completed = todos.length - open.length;
+        const deadlines = open.map(t => this.normalizeDeadline(t.deadline)).filter(deadline => deadline).sort();
+
+        return {
+            total: todos.length,
+            completed: completed,
+            percent: todos.length > 0 ? Math.round(completed / todos.length * 100) : 0,
+            remainingTime: Math.round(open.reduce((sum, t) => sum + (parseFloat(t.time) || 0), 0) * 10) / 10,
+            earliestDeadline: deadlines[0] || '',
+            inProgressCount: open.filter(t => t.status === 'in-progress').length
+        };
+    }
+
+    // 下位項目すべてを対象にした進捗をタスクごとに集計する（下位項目がないタスクは含まない）
+    // 下の階層から順に子の集計を親へ足し上げるので、全タスクを1回たどるだけで済む
+    calculateRollups(todos = this.todos) {
+        const childrenMap = new Map();
+        todos.forEach(todo => {
+            if (todo.parentId === null || todo.parentId === undefined) return;
+            if (!childrenMap.has(todo.parentId)) childrenMap.set(todo.parentId, []);
+            childrenMap.get(todo.parentId).push(todo);
+        });
+
+        const totals = new Map();
+        const visiting = new Set();
+        const collect = (todo) => {
+            if (totals.has(todo.id)) return totals.get(todo.id);
+            const sum = { total: 0, completed: 0, remainingTime: 0, earliestDeadline: '', inProgressCount: 0 };
+            let partial = false;
+            visiting.add(todo.id);
+            (childrenMap.get(todo.id) || []).forEach(child => {
+                // 循環参照している場合は同じタスクを二重に数えない（途中で打ち切った集計は使い回さない）
+                if (visiting.has(child.id)) {
+                    partial = true;
+                    return;
+                }
+                const deadline = child.completed ? '' : this.normalizeDeadline(child.deadline);
+                const below = collect(child);
+                partial = partial || below.partial;
+                sum.total += 1 + below.total;
+                sum.completed += (child.completed ? 1 : 0) + below.completed;
+                sum.remainingTime += (child.completed ? 0 : parseFloat(child.time) || 0) + below.remainingTime;
+                sum.inProgressCount += (!child.completed && child.status === 'in-progress' ? 1 : 0) + below.inProgressCount;
+                sum.earliestDeadline = [sum.earliestDeadline, deadline, below.earliestDeadline]
+                    .filter(value => value).sort()[0] || '';
+            });
+            visiting.delete(todo.id);
+            if (partial) return { ...sum, partial: true };
+            totals.set(todo.id, sum);
+            return sum;
+        };
+
+        const rollups = new Map();
+        todos.forEach(todo => {
+            const { partial, ...sum } = collect(todo);
+            if (sum.total === 0) return;
+            rollups.set(todo.id, {
+                ...sum,
+                percent: Math.round(sum.completed / sum.total * 100),
+                remainingTime: Math.round(sum.remainingTime * 10) / 10
+            });
+        });
+        return rollups;
+    }
+
+    // 下位項目すべてを対象にした進捗（下位項目がない場合はnull）
+    // 描画のたびに calculateRollups で作った集計を使う
+    getRollup(todo, rollups = this.rollups) {
+        return (rollups && rollups.get(todo.id)) || null;
+    }
+
+    getRollupHTML(rollup) {
+        const deadline = rollup.earliestDeadline ?
+            `<span class="rollup-deadline" title="未完了の下位項目で最も早い期限"><i class="fas fa-flag"></i> ${this.formatDate(rollup.earliestDeadline)}</span>` : '';
+        const inProgress = rollup.inProgressCount > 0 ?
+            `<span class="rollup-active" title="取り組み中の下位項目"><i class="fas fa-spinner"></i> ${rollup.inProgressCount}件取り組み中</span>` : '';
+
+        return `
+            <div class="todo-rollup">
+                <div class="rollup-bar" title="下位項目の完了率">
+                    <div class="rollup-bar-fill ${rollup.percent === 100 ? 'complete' : ''}" style="width: ${rollup.percent}%;"></div>
+                </div>
+                <span class="rollup-text">${rollup.completed}/${rollup.total}（${rollup.percent}%）</span>
+                ${rollup.remainingTime > 0 ? `<span class="rollup-remaining" title="未完了の下位項目の予測時間の合計">残り${rollup.remainingTime}時間</span>` : ''}
+                ${deadline}
+                ${inProgress}
+            </div>
+        `;
     }
 
     updateStats() {
-        const total = this.todos.length;
-        const completed = this.todos.filter(t => t.completed).length;
+        const rollup = this.calculateRollup(this.todos);
+        const total = rollup.total;
+        const completed = rollup.completed;
         const active = total - completed;
-        const inProgress = this.todos.filter(t => t.status === 'in-progress').length;
+        const inProgress = rollup.inProgressCount;
         const totalTime = this.todos.reduce((sum, todo) => sum + (todo.time || 0), 0);
 
         const totalCountEl = document.getElementById('totalCount');
@@ -823,6 +2691,14 @@ class TodoApp {
         if (activeCountEl) activeCountEl.textContent = active;
         if (inProgressCountEl) inProgressCountEl.textContent = inProgress;
         if (totalTimeEl) totalTimeEl.textContent = totalTime;
+
+        const progressEl = document.getElementById('progressPercent');
+        const remainingTimeEl = document.getElementById('remainingTime');
+        if (progressEl) progressEl.textContent = rollup.percent;
+        if (remainingTimeEl) remainingTimeEl.textContent = rollup.remainingTime;
+
+        const trashCountEl = document.getElementById('trashCount');
+        if (trashCountEl) trashCountEl.textContent = this.trash.length;
     }
 
     escapeHtml(text) {
@@ -831,11 +2707,30 @@ class TodoApp {
         return div.innerHTML;
     }
 
-    showNotification(message, type = 'info') {
+    // 属性値に埋め込む文字列（escapeHtmlは引用符をエスケープしないため）
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    showNotification(message, type = 'info', action = null) {
         // シンプルな通知システム
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.textContent = message;
+
+        // 「元に戻す」などのアクションボタン
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'notification-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+                action.handler();
+            });
+            notification.appendChild(actionButton);
+        }
         
         // スタイルを適用
         Object.assign(notification.style, {
@@ -877,7 +2772,7 @@ class TodoApp {
                     notification.parentNode.removeChild(notification);
                 }
             }, 300);
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     // メール機能のメソッド
@@ -895,6 +2790,194 @@ class TodoApp {
         document.getElementById('emailSubject').value = '';
         document.getElementById('emailBody').value = '';
         document.getElementById('extractedTodos').innerHTML = '';
+        document.getElementById('emlFile').value = '';
+        document.getElementById('emailMeta').innerHTML = '';
+        document.getElementById('emailCleanup').innerHTML = '';
+        this.currentEmail = null;
+        this.sourceEmail = null;
+    }
+
+    // .emlファイルを読み込んで件名・本文に反映し、そのままTODOを抽出する
+    async importEmailFile(file) {
+        if (!file) return;
+        if (!/\.eml$/i.test(file.name) && file.type !== 'message/rfc822') {
+            this.showNotification('.emlファイルを選択してください', 'warning');
+            return;
+        }
+
+        try {
+            const email = this.parseEmail(new Uint8Array(await this.readFileAsArrayBuffer(file)));
+            this.currentEmail = { subject: email.subject, from: email.from, date: email.date, messageId: email.messageId };
+            document.getElementById('emailSubject').value = email.subject;
+            document.getElementById('emailBody').value = email.body;
+            document.getElementById('emailMeta').innerHTML = `
+                ${email.from ? `<span><i class="fas fa-user"></i> ${this.escapeHtml(email.from)}</span>` : ''}
+                ${email.date ? `<span><i class="fas fa-clock"></i> ${new Date(email.date).toLocaleString('ja-JP')}</span>` : ''}
+            `;
+            this.analyzeEmail();
+        } catch (error) {
+            console.error('Error reading email:', error);
+            this.showNotification('メールファイルを読み込めませんでした', 'error');
+        }
+    }
+
+    // RFC 822形式のメールを解析して { subject, from, date, body } を返す
+    parseEmail(bytes) {
+        const message = this.parseMimePart(this.bytesToBinaryString(bytes));
+        const date = message.headers.date ? new Date(message.headers.date) : null;
+        return {
+            subject: this.decodeHeaderValue(message.headers.subject || '').trim(),
+            from: this.decodeHeaderValue(message.headers.from || '').trim(),
+            date: date && !isNaN(date) ? date.toISOString() : null,
+            messageId: (message.headers['message-id'] || '').replace(/[<>\s]/g, '') || null,
+            body: this.findEmailBody(message).replace(/\r\n?/g, '\n').trim()
+        };
+    }
+
+    // ヘッダー部と本文部に分ける（本文は1文字1バイトの文字列のまま扱う）
+    parseMimePart(raw) {
+        const match = raw.match(/\r?\n\r?\n/);
+        const headerText = match ? raw.slice(0, match.index) : raw;
+        const headers = {};
+        headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+            const index = line.indexOf(':');
+            if (index <= 0) return;
+            const name = line.slice(0, index).trim().toLowerCase();
+            // 同じヘッダーが複数ある場合は最初のものを使う
+            if (!(name in headers)) headers[name] = line.slice(index + 1).trim();
+        });
+        return { headers: headers, body: match ? raw.slice(match.index + match[0].length) : '' };
+    }
+
+    // 「text/plain; charset="ISO-2022-JP"」のようなヘッダー値を値とパラメータに分ける
+    parseHeaderParams(value) {
+        const [main, ...rest] = (value || '').match(/(?:[^;"]|"[^"]*")+/g) || [''];
+        const params = {};
+        rest.forEach(param => {
+            const index = param.indexOf('=');
+            if (index === -1) return;
+            params[param.slice(0, index).trim().toLowerCase()] = param.slice(index + 1).trim().replace(/^"|"$/g, '');
+        });
+        return { value: main.trim().toLowerCase(), params: params };
+    }
+
+    // マルチパートをたどり、text/plainを優先し、なければHTMLをテキスト化して返す
+    findEmailBody(part) {
+        const leaves = [];
+        const collect = (current) => {
+            const type = this.parseHeaderParams(current.headers['content-type'] || 'text/plain');
+            if (type.value.startsWith('multipart/') && type.params.boundary) {
+                const boundary = `--${type.params.boundary}`;
+                current.body.split(boundary).slice(1).forEach(section => {
+                    if (section.startsWith('--')) return; // 終端
+                    collect(this.parseMimePart(section.replace(/^[ \t]*\r?\n/, '')));
+                });
+                return;
+            }
+            if (/^attachment/i.test(current.headers['content-disposition'] || '')) return;
+            leaves.push({ part: current, type: type });
+        };
+        collect(part);
+
+        const plain = leaves.find(leaf => leaf.type.value === 'text/plain');
+        if (plain) return this.decodeMimeBody(plain.part, plain.type.params.charset);
+        const html = leaves.find(leaf => leaf.type.value === 'text/html');
+        if (html) return this.stripHtml(this.decodeMimeBody(html.part, html.type.params.charset));
+        return '';
+    }
+
+    decodeMimeBody(part, charset) {
+        const encoding = (part.headers['content-transfer-encoding'] || '').trim().toLowerCase();
+        let binary = part.body;
+        if (encoding === 'base64') {
+            binary = this.decodeBase64(binary);
+        } else if (encoding === 'quoted-printable') {
+            binary = this.decodeQuotedPrintable(binary);
+        }
+        return this.decodeCharset(binary, charset);
+    }
+
+    decodeBase64(text) {
+        try {
+            return atob(text.replace(/[^A-Za-z0-9+\/=]/g, ''));
+        } catch (error) {
+            return '';
+        }
+    }
+
+    decodeQuotedPrintable(text) {
+        return text
+            .replace(/=\r?\n/g, '') // ソフト改行
+            .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    // バイト列を文字コードに従って文字列に変換する（未対応の文字コードはUTF-8として扱う）
+    decodeCharset(binary, charset = 'utf-8') {
+        const aliases = { 'cp932': 'shift_jis', 'x-sjis': 'shift_jis', 'ms932': 'shift_jis' };
+        const label = (charset || 'utf-8').toLowerCase();
+        const bytes = this.binaryStringToBytes(binary);
+        try {
+            return new TextDecoder(aliases[label] || label).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    // ヘッダーの符号化（=?ISO-2022-JP?B?...?=）を戻す。符号化されていない8bit文字はUTF-8とみなす
+    decodeHeaderValue(value) {
+        const decoded = value
+            .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+            .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+                const binary = encoding.toUpperCase() === 'B' ?
+                    this.decodeBase64(text) :
+                    this.decodeQuotedPrintable(text.replace(/_/g, ' '));
+                return `\u0000${this.decodeCharset(binary, charset)}\u0000`;
+            });
+        // 符号化部分以外の生の文字列を文字コードに応じて変換する
+        return decoded.split('\u0000').map((segment, index) => {
+            if (index % 2 === 1) return segment;
+            if (segment.includes('\x1b')) return this.decodeCharset(segment, 'iso-2022-jp');
+            return /[\x80-\xff]/.test(segment) ? this.decodeCharset(segment, 'utf-8') : segment;
+        }).join('');
+    }
+
+    // HTMLメールからタグを除き、改行を保ったテキストにする
+    stripHtml(html) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+        return html
+            .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<li[^>]*>/gi, '- ')
+            .replace(/<\/(p|div|li|tr|h[1-6]|ul|ol|table|blockquote)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+                if (entity[0] === '#') {
+                    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                    // 範囲外やサロゲートの値は文字にできないので、そのまま残す
+                    const valid = code >= 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+                    return valid ? String.fromCodePoint(code) : match;
+                }
+                return entities[entity.toLowerCase()] ?? match;
+            })
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n');
+    }
+
+    bytesToBinaryString(bytes) {
+        let binary = '';
+        // 大きなメールでも引数の上限を超えないよう分割して変換する
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return binary;
+    }
+
+    binaryStringToBytes(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i) & 0xff;
+        }
+        return bytes;
     }
 
     analyzeEmail() {
@@ -906,8 +2989,20 @@ class TodoApp {
             return;
         }
 
-        const extractedTodos = this.extractTodosFromEmail(subject, body);
+        // .emlから読み込んだ場合は送信日時、手入力の場合は今日を期限の基準日にする
+        const referenceDate = this.currentEmail && this.currentEmail.date ? new Date(this.currentEmail.date) : new Date();
+        // 引用・署名などを除いた本文から抽出する
+        const bodyLines = this.classifyEmailLines(body, document.getElementById('includeQuoted').checked);
+        const extractedTodos = this.extractTodosFromEmail(subject, this.getCleanedEmailBody(bodyLines), referenceDate);
+        this.displayEmailCleanup(bodyLines);
         this.displayExtractedTodos(extractedTodos);
+        this.sourceEmail = {
+            id: this.getEmailSourceId(subject, body),
+            subject: subject,
+            from: this.currentEmail ? this.currentEmail.from : '',
+            date: this.currentEmail ? this.currentEmail.date : null,
+            body: body
+        };
         
         if (extractedTodos.length > 0) {
             this.showNotification(`${extractedTodos.length}個のTODOアイテムを抽出しました`, 'success');
@@ -916,12 +3011,158 @@ class TodoApp {
         }
     }
 
-    extractTodosFromEmail(subject, body) {
+    // 抽出結果の行番号（件名から作ったものは0、以降は「件名＋本文」の1始まりの行）を本文の行番号に変換する
+    // 件名の場合は0を返す
+    getEmailBodyLine(lineNumber) {
+        if (!Number.isInteger(lineNumber) || lineNumber <= 1) return 0;
+        return lineNumber - 1;
+    }
+
+    getEmailLineLabel(lineNumber) {
+        if (!Number.isInteger(lineNumber)) return '—';
+        const bodyLine = this.getEmailBodyLine(lineNumber);
+        return bodyLine === 0 ? '件名' : `${bodyLine}行目`;
+    }
+
+    // 同じメールから作成したタスクをまとめるためのID
+    // Message-IDがあればそれを使い、なければ件名と本文から求める（同じメールを解析し直しても同じIDになる）
+    getEmailSourceId(subject, body) {
+        if (this.currentEmail && this.currentEmail.messageId) {
+            return this.currentEmail.messageId;
+        }
+        let hash = 0x811c9dc5;
+        const text = `${subject}\n${body}`;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `email-${(hash >>> 0).toString(36)}`;
+    }
+
+    // メール本文の各行を { text, removed } に分類する
+    // removed は除外する理由（quote: 引用、history: 返信・転送の履歴、signature: 署名、disclaimer: 注意書き）
+    classifyEmailLines(body, includeQuoted = false) {
+        const lines = body.split('\n');
+        const reasons = lines.map(() => null);
+
+        // 「-----Original Message-----」や転送の区切り、From:/Sent:のヘッダー以降は履歴とみなす
+        const historySeparator = /^\s*(?:-{2,}\s*(?:Original Message|Forwarded message|元のメッセージ|転送メッセージ|転送されたメッセージ)\s*-{2,}|Begin forwarded message:|_{10,})\s*$/i;
+        const historyHeader = /^\s*(?:From|差出人|送信者)\s*[:：]/i;
+        const historyHeaderNext = /^\s*(?:Sent|Date|To|Cc|Subject|送信日時|日付|宛先|件名)\s*[:：]/i;
+        let historyStart = lines.findIndex((line, index) =>
+            historySeparator.test(line) ||
+            (historyHeader.test(line) && lines.slice(index + 1, index + 5).some(next => historyHeaderNext.test(next)))
+        );
+        if (historyStart === -1) historyStart = lines.length;
+        for (let i = historyStart; i < lines.length; i++) {
+            reasons[i] = 'history';
+        }
+
+        // 「>」の引用行と「On ... wrote:」「〜さんは書きました:」などの引用の見出し
+        const quoteLine = /^\s*[>＞]/;
+        const quoteHeader = /^\s*(?:On .+ wrote:|.+(?:さんは書きました|wrote)\s*[:：]|\d{4}年\d{1,2}月\d{1,2}日.*\d{1,2}:\d{2}.*[:：])\s*$/;
+        for (let i = 0; i < historyStart; i++) {
+            if (quoteLine.test(lines[i]) || (quoteHeader.test(lines[i]) && quoteLine.test(lines[i + 1] || ''))) {
+                reasons[i] = 'quote';
+            }
+        }
+
+        // 機密保持などの注意書きは段落ごと除く
+        const disclaimer = /confidential|intended recipient|機密情報|誤って(?:受信|届い|送信)|破棄(?:して|願い|をお願い)|このメールは送信専用|無断(?:で)?(?:転載|複製|転送)/i;
+        let paragraphStart = 0;
+        for (let i = 0; i <= historyStart; i++) {
+            if (i < historyStart && lines[i].trim()) continue;
+            if (lines.slice(paragraphStart, i).some(line => disclaimer.test(line))) {
+                for (let j = paragraphStart; j < i; j++) {
+                    reasons[j] = reasons[j] || 'disclaimer';
+                }
+            }
+            paragraphStart = i + 1;
+        }
+
+        const signature = this.findSignature(lines, reasons, historyStart);
+        if (signature) {
+            for (let i = signature.start; i < signature.end; i++) {
+                reasons[i] = reasons[i] || 'signature';
+            }
+        }
+
+        return lines.map((text, index) => {
+            const removed = includeQuoted && (reasons[index] === 'quote' || reasons[index] === 'history') ? null : reasons[index];
+            return { text: text, removed: removed };
+        });
+    }
+
+    // 署名の区切り線（「-- 」「━━━」「----」など）を探して { start, end } を返す
+    // 署名は引用や注意書き、履歴の手前までとし、区切り線の後ろが短く連絡先らしい内容を含む場合だけ署名とみなす
+    findSignature(lines, reasons, historyStart) {
+        const blockEnd = (start) => {
+            let end = start + 1;
+            while (end < historyStart && reasons[end] !== 'quote' && reasons[end] !== 'disclaimer') end++;
+            return end;
+        };
+
+        const standard = lines.slice(0, historyStart).findIndex((line, index) => /^--\s?$/.test(line) && !reasons[index]);
+        if (standard !== -1) return { start: standard, end: blockEnd(standard) };
+
+        const separator = /^\s*(?:[━─]{3,}|[-－=＝_＊*~〜]{4,})\s*$/;
+        const contact = /@|tel|fax|mobile|電話|携帯|〒|https?:\/\/|株式会社|有限会社|inc\.|co\.,? ?ltd/i;
+        for (let i = historyStart - 1; i > 0; i--) {
+            if (reasons[i] || !separator.test(lines[i])) continue;
+            const end = blockEnd(i);
+            const block = lines.slice(i + 1, end).filter(line => line.trim());
+            if (block.length === 0 || block.length > 10 || !block.some(line => contact.test(line))) continue;
+
+            // 「━━━／名前／━━━／連絡先」のように区切り線で挟まれた部分も署名に含める
+            let start = i;
+            for (let j = start - 1; j > 0 && start - j <= 5; j--) {
+                if (!lines[j].trim()) break;
+                if (separator.test(lines[j])) start = j;
+            }
+            return { start: start, end: end };
+        }
+        return null;
+    }
+
+    // 除外した行は空行にして、行番号がずれないようにする（残した引用行は「>」を外す）
+    getCleanedEmailBody(bodyLines) {
+        return bodyLines.map(line => line.removed ? '' : line.text.replace(/^\s*(?:[>＞]\s?)+/, '')).join('\n');
+    }
+
+    displayEmailCleanup(bodyLines) {
+        const container = document.getElementById('emailCleanup');
+        const removedCount = bodyLines.filter(line => line.removed && line.text.trim()).length;
+        const includeQuoted = document.getElementById('includeQuoted').checked;
+        if (removedCount === 0 && !includeQuoted) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const reasonLabels = { quote: '引用', history: '返信・転送の履歴', signature: '署名', disclaimer: '注意書き' };
+        const linesHTML = bodyLines.map((line, index) => {
+            // 除外した部分の先頭にだけ理由を表示する
+            const showReason = line.removed && (index === 0 || bodyLines[index - 1].removed !== line.removed);
+            return `
+                <div class="email-line ${line.removed ? 'removed' : ''}" data-line="${index + 1}">${showReason ? `<span class="email-line-reason">${reasonLabels[line.removed]}</span>` : ''}${this.escapeHtml(line.text) || '&nbsp;'}</div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <details class="email-cleanup-details" open>
+                <summary>本文のプレビュー（${removedCount > 0 ? `${removedCount}行を除外` : '除外なし'}）</summary>
+                <div class="email-lines">${linesHTML}</div>
+            </details>
+        `;
+    }
+
+    // 相対的な期限（明日、来週金曜など）は referenceDate（メールの送信日時）を基準に解決する
+    // rules を省略すると保存済みの抽出ルールを使う（ルール画面のプレビューでは編集中のルールを渡す）
+    extractTodosFromEmail(subject, body, referenceDate = new Date(), rules = this.extractionRules) {
         const todos = [];
         const fullText = `${subject}\n${body}`;
         
         // 全体的な期限を抽出
-        const globalDeadline = this.extractGlobalDeadline(fullText);
+        const globalDeadline = this.extractGlobalDeadline(fullText, referenceDate);
         
         // 件名から直接TODOを抽出
         if (subject && subject.trim()) {
@@ -933,49 +3174,18 @@ class TodoApp {
                 priority: 'medium',
                 status: 'not-started',
                 time: 0,
-                deadline: globalDeadline,
+                deadline: this.parseDateExpression(subjectText, referenceDate) || globalDeadline,
                 lineNumber: 0
             });
             }
         }
         
-        // TODOキーワードパターン（拡張）
-        const todoPatterns = [
-            /TODO[:\s]*([^\n\r]+)/gi,
-            /To Do[:\s]*([^\n\r]+)/gi,
-            /To-Do[:\s]*([^\n\r]+)/gi,
-            /タスク[:\s]*([^\n\r]+)/gi,
-            /やること[:\s]*([^\n\r]+)/gi,
-            /作業[:\s]*([^\n\r]+)/gi,
-            /確認[:\s]*([^\n\r]+)/gi,
-            /対応[:\s]*([^\n\r]+)/gi,
-            /検討[:\s]*([^\n\r]+)/gi,
-            /準備[:\s]*([^\n\r]+)/gi,
-            /件名[：:]\s*([^\n\r]+)/gi,
-            /件名[：:]\s*([^\n\r]+)/gi
-        ];
-
-        // 優先度キーワード
-        const priorityKeywords = {
-            high: ['緊急', '急ぎ', '重要', '優先', 'urgent', 'important', 'asap', '至急'],
-            medium: ['中程度', '普通', 'medium', 'moderate'],
-            low: ['低', 'ゆっくり', 'low', 'later']
-        };
-
-        // 時間パターン
-        const timePatterns = [
-            /(\d+(?:\.\d+)?)\s*時間/,
-            /(\d+(?:\.\d+)?)\s*h/,
-            /(\d+(?:\.\d+)?)\s*hr/
-        ];
-
-        // 期限パターン
-        const deadlinePatterns = [
-            /(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/,
-            /(\d{1,2}[-\/]\d{1,2})/,
-            /期限[:\s]*([^\n\r]+)/,
-            /締切[:\s]*([^\n\r]+)/
-        ];
+        // 抽出ルール（有効なものだけを並び順どおりに使う）
+        const compiled = this.compileExtractionRules(rules);
+        const todoPatterns = compiled.todo;
+        const priorityKeywords = { high: compiled.high, medium: compiled.medium, low: compiled.low };
+        const timePatterns = compiled.time;
+        const deadlinePatterns = compiled.deadline;
 
         // 各行をチェック
         const lines = fullText.split('\n');
@@ -991,7 +3201,7 @@ class TodoApp {
                     if (todoText && todoText.length > 2) {
                         const priority = this.determinePriority(line, priorityKeywords);
                         const time = this.extractTime(line, timePatterns);
-                        const deadline = this.extractDeadline(line, deadlinePatterns) || globalDeadline;
+                        const deadline = this.extractDeadline(line, deadlinePatterns, referenceDate) || globalDeadline;
                         
                         todos.push({
                             text: todoText,
@@ -1012,7 +3222,7 @@ class TodoApp {
                 if (todoText && todoText.length > 3) {
                     const priority = this.determinePriority(line, priorityKeywords);
                     const time = this.extractTime(line, timePatterns);
-                    const deadline = this.extractDeadline(line, deadlinePatterns) || globalDeadline;
+                    const deadline = this.extractDeadline(line, deadlinePatterns, referenceDate) || globalDeadline;
                     
                     todos.push({
                         text: todoText,
@@ -1031,7 +3241,7 @@ class TodoApp {
                 if (todoText && todoText.length > 3) {
                     const priority = this.determinePriority(line, priorityKeywords);
                     const time = this.extractTime(line, timePatterns);
-                    const deadline = this.extractDeadline(line, deadlinePatterns) || globalDeadline;
+                    const deadline = this.extractDeadline(line, deadlinePatterns, referenceDate) || globalDeadline;
                     
                     todos.push({
                         text: todoText,
@@ -1063,78 +3273,143 @@ class TodoApp {
         for (const pattern of patterns) {
             const match = text.match(pattern);
             if (match) {
-                return parseFloat(match[1]);
+                // グループがない場合は一致した部分の数値を使う
+                const hours = parseFloat(match[1] ?? (match[0].match(/\d+(?:\.\d+)?/) || [])[0]);
+                if (Number.isFinite(hours)) return hours;
             }
         }
         return 0;
     }
 
-    extractGlobalDeadline(text) {
-        // 全体的な期限を抽出（日本語形式対応）
-        const deadlinePatterns = [
-            /期限[：:]\s*(\d{4})年(\d{1,2})月(\d{1,2})日/,
-            /期限[：:]\s*(\d{1,2})月(\d{1,2})日/,
-            /締切[：:]\s*(\d{4})年(\d{1,2})月(\d{1,2})日/,
-            /締切[：:]\s*(\d{1,2})月(\d{1,2})日/,
-            /期限[：:]\s*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/,
-            /期限[：:]\s*(\d{1,2}[-\/]\d{1,2})/,
-            /締切[：:]\s*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/,
-            /締切[：:]\s*(\d{1,2}[-\/]\d{1,2})/
-        ];
-
-        for (const pattern of deadlinePatterns) {
-            const match = text.match(pattern);
-            if (match) {
-                if (match.length === 4) {
-                    // 日本語形式: 2025年8月20日
-                    const year = match[1];
-                    const month = match[2].padStart(2, '0');
-                    const day = match[3].padStart(2, '0');
-                    return `${year}-${month}-${day}`;
-                } else if (match.length === 3) {
-                    // 日本語形式: 8月20日
-                    const currentYear = new Date().getFullYear();
-                    const month = match[1].padStart(2, '0');
-                    const day = match[2].padStart(2, '0');
-                    return `${currentYear}-${month}-${day}`;
-                } else {
-                    // 数字形式
-                    const dateStr = match[1];
-                    if (dateStr.match(/^\d{4}[-\/]\d{1,2}[-\/]\d{1,2}$/)) {
-                        return dateStr.replace(/\//g, '-');
-                    } else if (dateStr.match(/^\d{1,2}[-\/]\d{1,2}$/)) {
-                        const currentYear = new Date().getFullYear();
-                        return `${currentYear}-${dateStr.replace(/\//g, '-')}`;
-                    }
-                }
-            }
+    extractGlobalDeadline(text, referenceDate = new Date()) {
+        // 「期限:」「締切:」などの行から全体的な期限を抽出（相対表現にも対応）
+        const pattern = /(?:期限|締切|締め切り|〆切|納期|deadline|due)\s*[：:]\s*([^\n\r]+)/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const deadline = this.parseDateExpression(match[1], referenceDate);
+            if (deadline) return deadline;
         }
         return null;
     }
 
-    extractDeadline(text, patterns) {
+    extractDeadline(text, patterns, referenceDate = new Date()) {
         for (const pattern of patterns) {
             const match = text.match(pattern);
             if (match) {
-                const dateStr = match[1];
-                // 日付形式を標準化
-                if (dateStr.match(/^\d{4}[-\/]\d{1,2}[-\/]\d{1,2}$/)) {
-                    return dateStr.replace(/\//g, '-');
-                } else if (dateStr.match(/^\d{1,2}[-\/]\d{1,2}$/)) {
-                    const currentYear = new Date().getFullYear();
-                    return `${currentYear}-${dateStr.replace(/\//g, '-')}`;
-                }
+                const deadline = this.parseDateExpression(match[1] || match[0], referenceDate);
+                if (deadline) return deadline;
             }
         }
+        // パターンに当てはまらなくても「明日まで」「by Friday」「今週中」「EOD」など、期限を示す語と結びついた表現だけを拾う
+        // （文中にたまたま出てくる「今月」「来週」などは期限にしない）
+        const candidates = [];
+        for (const match of text.matchAll(/まで|迄/g)) {
+            const end = match.index + match[0].length;
+            candidates.push({ index: match.index, text: text.slice(Math.max(0, match.index - 15), end), anchor: 'end' });
+        }
+        // 「中」は「検討中」「会議中」などにも使われるため、期間を表す語と組み合わさったものだけを期限とみなす
+        for (const match of text.matchAll(/(?:今日|本日|当日|再来週|来週|今週|今月|来月|\d{1,2}\s*日)中/g)) {
+            candidates.push({ index: match.index, text: match[0], anchor: null });
+        }
+        for (const match of text.matchAll(/\b(?:by|until|due(?: on| date)?|no later than)\s*[:：]?\s*/gi)) {
+            const start = match.index + match[0].length;
+            candidates.push({ index: match.index, text: text.slice(start, start + 30), anchor: 'start' });
+        }
+        for (const match of text.matchAll(/\bEOD\b|\bend of (?:the )?day\b/gi)) {
+            candidates.push({ index: match.index, text: match[0], anchor: null });
+        }
+
+        for (const candidate of candidates.sort((a, b) => a.index - b.index)) {
+            const deadline = this.parseDateExpression(candidate.text, referenceDate, candidate.anchor);
+            if (deadline) return deadline;
+        }
         return null;
     }
 
+    // 日付表現を基準日（メールの送信日時、なければ今日）から解決してYYYY-MM-DD形式で返す
+    // 文中で最も前にある表現を採用し、同じ位置なら長い方（「来週」より「来週金曜」）を優先する
+    // anchor が 'start' なら文字列の先頭、'end' なら末尾（直後の「まで」「迄」は含めてよい）にある表現だけを対象にする
+    parseDateExpression(text, referenceDate = new Date(), anchor = null) {
+        const base = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate());
+        const addDays = (days) => new Date(base.getFullYear(), base.getMonth(), base.getDate() + days);
+        const weekdays = { '日': 0, '月': 1, '火': 2, '水': 3, '木': 4, '金': 5, '土': 6 };
+        const englishWeekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+        // 週は月曜始まりとして、基準日から数えた週のN曜日を求める
+        const weekdayOf = (weekOffset, weekday) => {
+            const monday = addDays(-((base.getDay() + 6) % 7) + weekOffset * 7);
+            return new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + (weekday + 6) % 7);
+        };
+        // 次に来るN曜日（当日を含む）
+        const upcoming = (weekday) => addDays((weekday - base.getDay() + 7) % 7);
+        const endOfWeek = (weekOffset) => {
+            const friday = weekdayOf(weekOffset, 5);
+            return friday < base ? base : friday;
+        };
+        const endOfMonth = (monthOffset) => new Date(base.getFullYear(), base.getMonth() + monthOffset + 1, 0);
+        // 年のない日付は、基準日より前なら翌年とみなす
+        const withoutYear = (month, day) => {
+            const date = new Date(base.getFullYear(), month - 1, day);
+            if (date < base) date.setFullYear(base.getFullYear() + 1);
+            return date;
+        };
+        const validDate = (year, month, day) => {
+            const date = new Date(year, month - 1, day);
+            return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+        };
+        // 基準日の月からmonthOffsetか月後のday日（12月の翌月は翌年1月。存在しない日はnull）
+        const dayOfMonth = (monthOffset, day) => {
+            const date = new Date(base.getFullYear(), base.getMonth() + monthOffset, day);
+            return date.getDate() === day ? date : null;
+        };
+        const weekOffsetOf = (word) => ({ '今週': 0, '来週': 1, '再来週': 2, 'this': 0, 'next': 1 })[(word || '').toLowerCase()];
+
+        const rules = [
+            { pattern: /(\d{4})\s*[-\/年]\s*(\d{1,2})\s*[-\/月]\s*(\d{1,2})日?/, resolve: m => validDate(+m[1], +m[2], +m[3]) },
+            { pattern: /(\d{1,2})\s*月\s*(\d{1,2})\s*日/, resolve: m => validDate(2000, +m[1], +m[2]) && withoutYear(+m[1], +m[2]) },
+            { pattern: /(?<![\d\/-])(\d{1,2})[-\/](\d{1,2})(?![\d\/-])/, resolve: m => validDate(2000, +m[1], +m[2]) && withoutYear(+m[1], +m[2]) },
+            { pattern: /今日|本日|当日中|\btoday\b|\bEOD\b|\bend of (?:the )?day\b/i, resolve: () => base },
+            { pattern: /明後日|あさって|\bday after tomorrow\b/i, resolve: () => addDays(2) },
+            { pattern: /明日|あした|\btomorrow\b/i, resolve: () => addDays(1) },
+            { pattern: /(\d+)\s*日後|\bin (\d+) days?\b/i, resolve: m => addDays(+(m[1] || m[2])) },
+            { pattern: /(再来週|来週|今週)?\s*の?\s*([月火水木金土日])曜(?:日)?/, resolve: m => m[1] ? weekdayOf(weekOffsetOf(m[1]), weekdays[m[2]]) : upcoming(weekdays[m[2]]) },
+            { pattern: /\b(?:(this|next)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i, resolve: m => {
+                const weekday = englishWeekdays.indexOf(m[2].slice(0, 3).toLowerCase());
+                return m[1] ? weekdayOf(weekOffsetOf(m[1]), weekday) : upcoming(weekday);
+            } },
+            { pattern: /(再来週|来週|今週)(?:中|末|いっぱい)?/, resolve: m => endOfWeek(weekOffsetOf(m[1])) },
+            { pattern: /\b(this|next) week\b|\bend of (?:the )?week\b/i, resolve: m => endOfWeek(m[1] && m[1].toLowerCase() === 'next' ? 1 : 0) },
+            { pattern: /(今月|来月)\s*(\d{1,2})\s*日/, resolve: m => dayOfMonth(m[1] === '来月' ? 1 : 0, +m[2]) },
+            { pattern: /(今月|来月)(?:中|末|いっぱい)?|月末/, resolve: m => endOfMonth(m[1] === '来月' ? 1 : 0) },
+            { pattern: /\b(this|next) month\b|\bend of (?:the )?month\b/i, resolve: m => endOfMonth(m[1] && m[1].toLowerCase() === 'next' ? 1 : 0) },
+            { pattern: /(\d{1,2})\s*日\s*(?:まで|迄|中)/, resolve: m => {
+                const day = +m[1];
+                const date = dayOfMonth(0, day);
+                if (date && date >= base) return date;
+                return dayOfMonth(1, day);
+            } }
+        ];
+
+        const anchored = (pattern) => {
+            if (anchor === 'start') return new RegExp(`^\\s*(?:${pattern.source})`, pattern.flags);
+            if (anchor === 'end') return new RegExp(`(?:${pattern.source})\\s*(?:まで|迄)?\\s*$`, pattern.flags);
+            return pattern;
+        };
+
+        let best = null;
+        rules.forEach(rule => {
+            const match = text.match(anchored(rule.pattern));
+            if (!match) return;
+            if (best && (match.index > best.match.index || (match.index === best.match.index && match[0].length <= best.match[0].length))) return;
+            const date = rule.resolve(match);
+            if (date) best = { match: match, date: date };
+        });
+        return best ? this.formatDateForComparison(best.date) : null;
+    }
+
     determinePriority(text, priorityKeywords) {
-        const lowerText = text.toLowerCase();
-        
-        for (const [priority, keywords] of Object.entries(priorityKeywords)) {
-            for (const keyword of keywords) {
-                if (lowerText.includes(keyword.toLowerCase())) {
+        for (const [priority, patterns] of Object.entries(priorityKeywords)) {
+            for (const pattern of patterns) {
+                if (pattern.test(text)) {
                     return priority;
                 }
             }
@@ -1143,6 +3418,331 @@ class TodoApp {
         return 'medium'; // デフォルト
     }
 
+    // 抽出ルール
+    // 各ルールは { pattern, enabled }。patternはキーワード、または「/正規表現/フラグ」で指定する
+    getExtractionRuleTypes() {
+        return [
+            { type: 'todo', label: 'TODOキーワード', hint: 'キーワードの後ろの文字列をTODOにします（例: 「TODO」→「TODO: 資料作成」から「資料作成」）。正規表現では1つ目の()がTODOになります' },
+            { type: 'high', label: '優先度「高」のキーワード', hint: '行に含まれると優先度を「高」にします' },
+            { type: 'medium', label: '優先度「中」のキーワード', hint: '行に含まれると優先度を「中」にします' },
+            { type: 'low', label: '優先度「低」のキーワード', hint: '行に含まれると優先度を「低」にします' },
+            { type: 'time', label: '作業時間の単位', hint: '数字の後ろに続く単位を作業時間とみなします（例: 「時間」→「2時間」）。正規表現では1つ目の()が時間数になります' },
+            { type: 'deadline', label: '期限のキーワード', hint: 'キーワードの後ろの日付を期限にします（例: 「期限」→「期限: 明日」）。正規表現では1つ目の()を日付として解釈します' }
+        ];
+    }
+
+    getDefaultExtractionRules() {
+        const rules = (patterns) => patterns.map(pattern => ({ pattern: pattern, enabled: true }));
+        return {
+            todo: rules(['TODO', 'To Do', 'To-Do', 'タスク', 'やること', '作業', '確認', '対応', '検討', '準備', '/件名[：:]\\s*([^\\n\\r]+)/i']),
+            high: rules(['緊急', '急ぎ', '重要', '優先', 'urgent', 'important', 'asap', '至急']),
+            medium: rules(['中程度', '普通', 'medium', 'moderate']),
+            low: rules(['低', 'ゆっくり', 'low', 'later']),
+            time: rules(['時間', 'h', 'hr']),
+            deadline: rules(['/(\\d{4}[-\\/]\\d{1,2}[-\\/]\\d{1,2})/', '/(\\d{1,2}[-\\/]\\d{1,2})/', '期限', '締切'])
+        };
+    }
+
+    // /正規表現/ 形式のルールの誤りを返す（問題がなければnull）
+    // TODO・作業時間・期限は1つ目の () を抽出するので、グループのない正規表現は受け付けない
+    getRulePatternError(pattern, type) {
+        const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        if (!regex) return null;
+        try {
+            new RegExp(regex[1], regex[2]);
+        } catch (error) {
+            return '正規表現が正しくありません';
+        }
+        if (['todo', 'time', 'deadline'].includes(type) && new RegExp(`${regex[1]}|`).exec('').length < 2) {
+            return '抽出する部分を () で囲んでください';
+        }
+        return null;
+    }
+
+    // ルール1件を正規表現に変換する（正規表現の誤りや空のパターンはnull）
+    compileExtractionRule(pattern, type) {
+        try {
+            const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+            if (regex) {
+                if (this.getRulePatternError(pattern, type)) return null;
+                return new RegExp(regex[1], regex[2].replace('g', ''));
+            }
+            const keyword = pattern.trim();
+            if (!keyword) return null;
+            const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (type === 'todo' || type === 'deadline') {
+                return new RegExp(`${escaped}[:：\\s]*([^\\n\\r]+)`, 'i');
+            }
+            if (type === 'time') {
+                return new RegExp(`(\\d+(?:\\.\\d+)?)\\s*${escaped}`, 'i');
+            }
+            return new RegExp(escaped, 'i');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    compileExtractionRules(rules) {
+        const compiled = {};
+        this.getExtractionRuleTypes().forEach(({ type }) => {
+            compiled[type] = (rules[type] || [])
+                .filter(rule => rule.enabled)
+                .map(rule => this.compileExtractionRule(rule.pattern, type))
+                .filter(pattern => pattern);
+        });
+        return compiled;
+    }
+
+    // 保存データや読み込んだファイルのルールを検証して揃える（ない種類は既定のルールを使う）
+    normalizeExtractionRules(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('抽出ルールの形式が正しくありません');
+        }
+        const types = this.getExtractionRuleTypes().map(({ type }) => type);
+        if (!types.some(type => Array.isArray(data[type]))) {
+            throw new Error('抽出ルールが見つかりません');
+        }
+
+        const defaults = this.getDefaultExtractionRules();
+        const rules = {};
+        types.forEach(type => {
+            rules[type] = Array.isArray(data[type]) ?
+                data[type]
+                    .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim())
+                    .map(rule => ({ pattern: rule.pattern, enabled: rule.enabled !== false })) :
+                defaults[type];
+        });
+        return rules;
+    }
+
+    async loadExtractionRules() {
+        let stored = null;
+        if (this.useLocalStorage) {
+            stored = JSON.parse(localStorage.getItem('todoApp_extractionRules') || 'null');
+        } else {
+            stored = await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.settingsStoreName], 'readonly');
+                const request = transaction.objectStore(this.settingsStoreName).get('extractionRules');
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            });
+        }
+        if (stored) {
+            this.extractionRules = this.normalizeExtractionRules(stored);
+        }
+    }
+
+    async saveExtractionRules(rules) {
+        if (this.useLocalStorage) {
+            localStorage.setItem('todoApp_extractionRules', JSON.stringify(rules));
+        } else {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.settingsStoreName], 'readwrite');
+                transaction.objectStore(this.settingsStoreName).put({ key: 'extractionRules', value: rules });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+        this.extractionRules = rules;
+    }
+
+    openRulesModal() {
+        // 保存するまでは編集中のコピーに変更を加える
+        this.ruleDraft = JSON.parse(JSON.stringify(this.extractionRules));
+        document.getElementById('ruleType').value = this.ruleType;
+        // メール画面に入力中の内容があればテスト用のサンプルにする
+        const subject = document.getElementById('emailSubject').value;
+        const body = document.getElementById('emailBody').value;
+        if (subject || body) {
+            document.getElementById('ruleSampleSubject').value = subject;
+            document.getElementById('ruleSampleBody').value = body;
+        }
+        this.renderRules();
+        document.getElementById('rulesModal').style.display = 'block';
+    }
+
+    closeRulesModal() {
+        document.getElementById('rulesModal').style.display = 'none';
+        document.getElementById('newRulePattern').value = '';
+        document.getElementById('rulesFile').value = '';
+        this.ruleDraft = null;
+    }
+
+    renderRules() {
+        const typeInfo = this.getExtractionRuleTypes().find(({ type }) => type === this.ruleType);
+        const rules = this.ruleDraft[this.ruleType];
+        document.getElementById('ruleTypeHint').textContent = typeInfo.hint;
+
+        const list = document.getElementById('ruleList');
+        if (rules.length === 0) {
+            list.innerHTML = '<p class="rule-empty">ルールがありません</p>';
+        } else {
+            list.innerHTML = rules.map((rule, index) => `
+                <div class="rule-item ${rule.enabled ? '' : 'disabled'} ${this.compileExtractionRule(rule.pattern, this.ruleType) ? '' : 'invalid'}">
+                    <input type="checkbox" ${rule.enabled ? 'checked' : ''} title="有効にする" onchange="todoApp.toggleRule(${index}, this.checked)">
+                    <input type="text" class="rule-pattern" value="${this.escapeAttribute(rule.pattern)}" oninput="todoApp.updateRulePattern(${index}, this)">
+                    <span class="rule-count" id="rule-count-${index}"></span>
+                    <button class="rule-btn" onclick="todoApp.moveRule(${index}, -1)" title="上へ" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="rule-btn" onclick="todoApp.moveRule(${index}, 1)" title="下へ" ${index === rules.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button class="rule-btn delete" onclick="todoApp.deleteRule(${index})" title="削除">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+        }
+        this.renderRulePreview();
+    }
+
+    // サンプルメールに対する各ルールの一致行数と抽出結果を表示する
+    renderRulePreview() {
+        const subject = document.getElementById('ruleSampleSubject').value;
+        const body = document.getElementById('ruleSampleBody').value;
+        const lines = `${subject}\n${body}`.split('\n');
+
+        this.ruleDraft[this.ruleType].forEach((rule, index) => {
+            const count = document.getElementById(`rule-count-${index}`);
+            if (!count) return;
+            const pattern = this.compileExtractionRule(rule.pattern, this.ruleType);
+            if (!pattern) {
+                count.textContent = '正規表現エラー';
+            } else {
+                const matched = lines.filter(line => pattern.test(line)).length;
+                count.textContent = matched > 0 ? `${matched}行に一致` : '';
+            }
+        });
+
+        const container = document.getElementById('rulePreview');
+        if (!subject.trim() && !body.trim()) {
+            container.innerHTML = '<p class="rule-empty">サンプルのメールを入力すると抽出結果を確認できます</p>';
+            return;
+        }
+        const bodyLines = this.classifyEmailLines(body.trim(), document.getElementById('includeQuoted').checked);
+        const todos = this.extractTodosFromEmail(subject.trim(), this.getCleanedEmailBody(bodyLines), new Date(), this.ruleDraft);
+        container.innerHTML = `
+            <h4>抽出結果 (${todos.length}個)</h4>
+            ${todos.map(todo => `
+                <div class="extracted-todo-item">
+                    <span class="rule-line">${this.getEmailLineLabel(todo.lineNumber)}</span>
+                    <span class="todo-text">${this.escapeHtml(todo.text)}</span>
+                    <span class="todo-priority ${todo.priority}">${this.getPriorityLabel(todo.priority)}</span>
+                    ${todo.time ? `<span class="todo-time">${todo.time}時間</span>` : ''}
+                    ${todo.deadline ? `<span class="todo-deadline">${this.formatDate(todo.deadline)}</span>` : ''}
+                </div>
+            `).join('') || '<p class="rule-empty">TODOアイテムが見つかりませんでした</p>'}
+        `;
+    }
+
+    setRuleType(type) {
+        this.ruleType = type;
+        this.renderRules();
+    }
+
+    addRule() {
+        const input = document.getElementById('newRulePattern');
+        const pattern = input.value.trim();
+        if (!pattern) {
+            this.showNotification('キーワードまたは正規表現を入力してください', 'warning');
+            return;
+        }
+        if (!this.compileExtractionRule(pattern, this.ruleType)) {
+            this.showNotification(this.getRulePatternError(pattern, this.ruleType) || '正規表現が正しくありません', 'error');
+            return;
+        }
+        this.ruleDraft[this.ruleType].push({ pattern: pattern, enabled: true });
+        input.value = '';
+        this.renderRules();
+    }
+
+    toggleRule(index, enabled) {
+        this.ruleDraft[this.ruleType][index].enabled = enabled;
+        this.renderRules();
+    }
+
+    // 入力中にフォーカスが外れないよう、一覧は描き直さずに行の状態とプレビューだけ更新する
+    updateRulePattern(index, input) {
+        this.ruleDraft[this.ruleType][index].pattern = input.value;
+        input.closest('.rule-item').classList.toggle('invalid', !this.compileExtractionRule(input.value, this.ruleType));
+        this.renderRulePreview();
+    }
+
+    moveRule(index, offset) {
+        const rules = this.ruleDraft[this.ruleType];
+        const target = index + offset;
+        if (target < 0 || target >= rules.length) return;
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        this.renderRules();
+    }
+
+    deleteRule(index) {
+        this.ruleDraft[this.ruleType].splice(index, 1);
+        this.renderRules();
+    }
+
+    resetRules() {
+        if (!confirm('抽出ルールを既定の内容に戻しますか？（「保存」を押すまで反映されません）')) return;
+        this.ruleDraft = this.getDefaultExtractionRules();
+        this.renderRules();
+    }
+
+    async saveRules() {
+        const invalid = this.getExtractionRuleTypes().flatMap(({ type, label }) =>
+            this.ruleDraft[type]
+                .filter(rule => rule.pattern.trim() && !this.compileExtractionRule(rule.pattern, type))
+                .map(rule => `${label}: ${rule.pattern} - ${this.getRulePatternError(rule.pattern, type) || '正規表現が正しくありません'}`)
+        );
+        if (invalid.length > 0) {
+            this.showNotification(`使えないルールがあります（${invalid.join('、')}）`, 'error');
+            return;
+        }
+
+        try {
+            await this.saveExtractionRules(this.normalizeExtractionRules(this.ruleDraft));
+            this.closeRulesModal();
+            this.showNotification('抽出ルールを保存しました', 'success');
+        } catch (error) {
+            console.error('Error saving extraction rules:', error);
+            this.showNotification('抽出ルールの保存に失敗しました', 'error');
+        }
+    }
+
+    exportRules() {
+        const data = {
+            format: this.rulesFormat,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            rules: this.ruleDraft
+        };
+        this.downloadFile(JSON.stringify(data, null, 2), `extraction-rules_${new Date().toISOString().split('T')[0]}.json`, 'application/json;charset=utf-8;');
+        this.showNotification('抽出ルールを書き出しました', 'success');
+    }
+
+    async importRules(file) {
+        if (!file) return;
+        try {
+            let data;
+            try {
+                data = JSON.parse(await this.readFileAsText(file));
+            } catch (error) {
+                throw new Error('JSONの形式が正しくありません');
+            }
+            if (!data || data.format !== this.rulesFormat) {
+                throw new Error('抽出ルールのファイルではありません');
+            }
+            this.ruleDraft = this.normalizeExtractionRules(data.rules);
+            this.renderRules();
+            this.showNotification('抽出ルールを読み込みました。「保存」で反映されます', 'success');
+        } catch (error) {
+            console.error('Error importing extraction rules:', error);
+            this.showNotification(error.message, 'error');
+        } finally {
+            document.getElementById('rulesFile').value = '';
+        }
+    }
+
     displayExtractedTodos(todos) {
         const container = document.getElementById('extractedTodos');
         this.extractedTodos = todos; // 抽出結果を保存
@@ -1185,6 +3785,290 @@ class TodoApp {
         }
     }
 
+    // iCalendarの読み込み（VTODOのみ対象）
+    // 各コンポーネントのプロパティを { 名前: [{ params, value }] } の形で返す
+    parseICalendar(text) {
+        // 折り返された行（CRLF＋空白またはタブ）を元の1行に戻す
+        const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const components = [];
+        const stack = [];
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            const property = this.parseICalLine(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN') {
+                stack.push({ type: property.value.toUpperCase(), properties: {} });
+            } else if (property.name === 'END') {
+                const component = stack.pop();
+                if (component && component.type === 'VTODO') {
+                    components.push(component.properties);
+                }
+            } else if (stack.length > 0) {
+                const properties = stack[stack.length - 1].properties;
+                if (!properties[property.name]) properties[property.name] = [];
+                properties[property.name].push({ params: property.params, value: property.value });
+            }
+        });
+
+        if (lines.every(line => !/^BEGIN:VCALENDAR/i.test(line.trim()))) {
+            throw new Error('iCalendarファイルではありません');
+        }
+        return components;
+    }
+
+    // 「名前;パラメータ=値:値」の1行を分解する（パラメータの""内の:と;は区切りとみなさない）
+    parseICalLine(line) {
+        let inQuotes = false;
+        let separator = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                separator = i;
+                break;
+            }
+        }
+        if (separator === -1) return null;
+
+        const [name, ...rawParams] = line.slice(0, separator).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+        const params = {};
+        rawParams.forEach(param => {
+            const index = param.indexOf('=');
+            if (index === -1) return;
+            params[param.slice(0, index).toUpperCase()] = param.slice(index + 1).replace(/^"|"$/g, '');
+        });
+        return { name: name.toUpperCase(), params: params, value: line.slice(separator + 1) };
+    }
+
+    unescapeICalText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+
+    // DATE（20261019）・DATE-TIME（20261019T090000、末尾ZはUTC）をDateに変換する
+    parseICalDate(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) return null;
+        const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+        return utc ?
+            new Date(Date.UTC(year, month - 1, day, hour, minute, second)) :
+            new Date(year, month - 1, day, hour, minute, second);
+    }
+
+    // VTODOのプロパティを取り込み用のタスクに変換する
+    mapICalTodo(properties) {
+        const get = (name) => properties[name] ? properties[name][0].value : '';
+        const summary = this.unescapeICalText(get('SUMMARY')).trim();
+        if (!summary) return null;
+
+        const due = get('DUE') ? this.parseICalDate(get('DUE')) : null;
+        const completedDate = get('COMPLETED') ? this.parseICalDate(get('COMPLETED')) : null;
+        const status = get('STATUS').toUpperCase();
+        const completed = status === 'COMPLETED' || (!!completedDate && status !== 'NEEDS-ACTION' && status !== 'IN-PROCESS');
+
+        // PRIORITY: 1〜4は高、5は中、6〜9は低（0・未指定は中）
+        const priorityValue = parseInt(get('PRIORITY')) || 0;
+        const priority = priorityValue >= 1 && priorityValue <= 4 ? 'high' : priorityValue >= 6 ? 'low' : 'medium';
+
+        // RELATED-TOはRELTYPE省略時も親を表す
+        const parent = (properties['RELATED-TO'] || []).find(related => !related.params.RELTYPE || related.params.RELTYPE.toUpperCase() === 'PARENT');
+
+        return {
+            uid: get('UID') || null,
+            parentUid: parent ? parent.value : null,
+            text: summary,
+            comment: this.unescapeICalText(get('DESCRIPTION')),
+            deadline: due ? this.formatDateForComparison(due) : '',
+            priority: priority,
+            status: status === 'IN-PROCESS' && !completed ? 'in-progress' : 'not-started',
+            completed: completed,
+            completedAt: completed ? (completedDate || new Date()).toISOString() : null,
+            cancelled: status === 'CANCELLED',
+            time: parseFloat(get('X-TODOAPP-ESTIMATE')) || 0,
+            tags: this.parseTags((properties.CATEGORIES || []).map(category => this.unescapeICalText(category.value)).join(','))
+        };
+    }
+
+    // UIDから既存のタスクを探す（このアプリで書き出したUIDも対象）
+    findTodoByICalUid(uid) {
+        if (!uid) return null;
+        return this.todos.find(todo => todo.icalUid === uid || this.getICalUid(todo) === uid) || null;
+    }
+
+    async previewICalendar() {
+        const file = document.getElementById('icsFile').files[0];
+        if (!file) {
+            this.showNotification('iCalendarファイルを選択してください', 'warning');
+            return;
+        }
+
+        try {
+            const components = this.parseICalendar(await this.readFileAsText(file));
+            this.displayICalendarTodos(components.map(properties => this.mapICalTodo(properties)).filter(todo => todo));
+        } catch (error) {
+            console.error('Error reading iCalendar:', error);
+            this.showNotification(error.message || 'iCalendarファイルを読み込めませんでした', 'error');
+        }
+    }
+
+    displayICalendarTodos(todos) {
+        const container = document.getElementById('icsPreview');
+        this.icsTodos = todos;
+
+        if (todos.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #6b7280; font-style: italic;">ToDo（VTODO）が見つかりませんでした</p>';
+            return;
+        }
+
+        // 親子関係が分かるように、ファイル内の親の直後に子を字下げして並べる
+        const uids = new Set(todos.map(todo => todo.uid).filter(uid => uid));
+        const ordered = [];
+        const placed = new Set();
+        const place = (index, depth) => {
+            if (placed.has(index)) return;
+            placed.add(index);
+            ordered.push({ index: index, depth: depth });
+            const uid = todos[index].uid;
+            if (!uid) return;
+            todos.forEach((todo, childIndex) => {
+                if (todo.parentUid === uid) place(childIndex, depth + 1);
+            });
+        };
+        todos.forEach((todo, index) => {
+            if (!uids.has(todo.parentUid)) place(index, 0);
+        });
+        // 循環した親子関係で残ったものは先頭階層に並べる
+        todos.forEach((todo, index) => place(index, 0));
+
+        const header = `
+            <div class="extracted-todos-header">
+                <h3>取り込むToDo (${todos.length}個)</h3>
+                <button class="add-selected-btn" onclick="todoApp.importSelectedICalendar()">
+                    <i class="fas fa-plus"></i> 選択したアイテムを追加
+                </button>
+            </div>
+        `;
+
+        // UIDが重複しているものは最初の1件だけを取り込む
+        const firstIndexByUid = new Map();
+        todos.forEach((todo, index) => {
+            if (todo.uid && !firstIndexByUid.has(todo.uid)) firstIndexByUid.set(todo.uid, index);
+        });
+
+        const todoItems = ordered.map(({ index, depth }) => {
+            const todo = todos[index];
+            const duplicateUid = !!todo.uid && firstIndexByUid.get(todo.uid) !== index;
+            const duplicate = !duplicateUid && this.findTodoByICalUid(todo.uid);
+            const parentNote = todo.parentUid && !uids.has(todo.parentUid) ?
+                (this.findTodoByICalUid(todo.parentUid) ? `<span class="ics-note">親: ${this.escapeHtml(this.findTodoByICalUid(todo.parentUid).text)}</span>` : '<span class="ics-note">親項目なし</span>') : '';
+            return `
+                <div class="extracted-todo-item" style="margin-left: ${depth * 1.5}rem;">
+                    <input type="checkbox" id="ics-todo-${index}" ${duplicate || duplicateUid || todo.cancelled ? '' : 'checked'}>
+                    <label for="ics-todo-${index}" class="todo-text ${todo.completed ? 'completed' : ''}">${this.escapeHtml(todo.text)}</label>
+                    <span class="todo-priority ${todo.priority}">${this.getPriorityLabel(todo.priority)}</span>
+                    ${todo.completed ? '<span class="todo-status completed">完了</span>' : `<span class="todo-status ${todo.status}">${this.getStatusLabel(todo.status)}</span>`}
+                    ${todo.deadline ? `<span class="todo-deadline">${this.formatDate(todo.deadline)}</span>` : ''}
+                    ${todo.cancelled ? '<span class="ics-note">キャンセル済み</span>' : ''}
+                    ${duplicate ? '<span class="ics-note">取り込み済み（選択すると更新）</span>' : ''}
+                    ${duplicateUid ? '<span class="ics-note">UID重複</span>' : ''}
+                    ${parentNote}
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = header + todoItems;
+    }
+
+    async importSelectedICalendar() {
+        const selected = this.icsTodos.filter((todo, index) => {
+            const checkbox = document.getElementById(`ics-todo-${index}`);
+            return checkbox && checkbox.checked;
+        });
+        if (selected.length === 0) {
+            this.showNotification('取り込むToDoを選択してください', 'warning');
+            return;
+        }
+
+        // 同じファイル内でUIDが重複している場合は最初のものだけを取り込み、残りは競合として報告する
+        const conflicts = [];
+        const seenUids = new Set();
+        const records = [];
+        selected.forEach((todo, index) => {
+            if (todo.uid && seenUids.has(todo.uid)) {
+                conflicts.push({ type: 'duplicate-uid', text: todo.text });
+                return;
+            }
+            if (todo.uid) seenUids.add(todo.uid);
+            records.push({ ...todo, id: todo.uid || `ics-${index}`, parentId: todo.parentUid });
+        });
+        // ファイル内の親を先に処理して、子の親項目IDに使う
+        const ordered = this.orderByHierarchy(records, conflicts);
+        const nextId = this.createTodoIdAllocator();
+        const idMap = new Map();
+        const added = [];
+        const updated = [];
+
+        for (const record of ordered) {
+            const { id: key, uid, parentUid, parentId: parentKey, cancelled, ...fields } = record;
+
+            // 取り込み済みのUIDは新しく作らず、既存のタスクの内容を更新する（親子関係・作業記録はそのまま）
+            const existing = this.findTodoByICalUid(uid);
+            if (existing) {
+                updated.push({ ...existing, ...fields, icalUid: uid });
+                idMap.set(key, existing.id);
+                continue;
+            }
+
+            let parentId = null;
+            if (parentKey !== null && idMap.has(parentKey)) {
+                parentId = idMap.get(parentKey);
+            } else if (parentKey !== null && this.findTodoByICalUid(parentKey)) {
+                parentId = this.findTodoByICalUid(parentKey).id;
+            }
+
+            // 同じ親に続けて追加する分も順番がずれないよう、保存前のタスクも数えて並び順を決める
+            const order = Math.max(this.getNextOrder(parentId), ...added.filter(todo => todo.parentId === parentId).map(todo => todo.order + 1));
+            const todo = {
+                ...fields,
+                id: nextId(),
+                parentId: parentId,
+                category: this.getLevelCategory(this.getLevel({ parentId: parentId })),
+                recurrence: null,
+                sessions: [],
+                order: order,
+                icalUid: uid,
+                createdAt: new Date().toISOString()
+            };
+            added.push(todo);
+            idMap.set(key, todo.id);
+        }
+
+        const history = this.beginHistory('iCalendarの取り込み');
+        try {
+            this.showLoading();
+            // 途中で失敗して一部だけ取り込まれないよう、まとめて書き込む
+            await this.writeStores({ todos: { put: [...updated, ...added] } });
+            this.hideLoading();
+            document.getElementById('icsPreview').innerHTML = '';
+            document.getElementById('icsFile').value = '';
+            this.icsTodos = [];
+
+            const notes = [];
+            if (updated.length > 0) notes.push(`取り込み済み${updated.length}件を更新`);
+            const duplicateCount = conflicts.filter(conflict => conflict.type === 'duplicate-uid').length;
+            if (duplicateCount > 0) notes.push(`UIDが重複した${duplicateCount}件をスキップ`);
+            const cycleCount = conflicts.filter(conflict => conflict.type === 'cycle').length;
+            if (cycleCount > 0) notes.push(`循環した親子関係${cycleCount}件を解除`);
+            this.showNotification(`${added.length}個のタスクを取り込みました${notes.length > 0 ? `（${notes.join('、')}）` : ''}`, conflicts.length > 0 ? 'warning' : 'success', this.getUndoAction());
+        } catch (error) {
+            this.hideLoading();
+            console.error('Error importing iCalendar:', error);
+            this.showNotification('iCalendarの取り込みに失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
+        }
+    }
+
     getPriorityLabel(priority) {
         const labels = {
             high: '高',
@@ -1194,15 +4078,6 @@ class TodoApp {
         return labels[priority] || '中';
     }
 
-    getCategoryLabel(category) {
-        const labels = {
-            major: '大項目',
-            middle: '中項目',
-            minor: '小項目'
-        };
-        return labels[category] || '大項目';
-    }
-
     getStatusLabel(status) {
         const labels = {
             'not-started': '取り組み前',
@@ -1211,32 +4086,51 @@ class TodoApp {
         return labels[status] || '取り組み前';
     }
 
-    updateParentOptions(category) {
+    updateParentOptions() {
         const parentSelect = document.getElementById('todoParent');
-        parentSelect.innerHTML = '<option value="">親項目を選択</option>';
-        
-        if (category === 'major') {
-            parentSelect.style.display = 'none';
-            return;
-        }
-        
-        parentSelect.style.display = 'block';
-        
-        let availableParents = [];
-        if (category === 'middle') {
-            // 中項目の親は大項目のみ
-            availableParents = this.todos.filter(t => t.category === 'major');
-        } else if (category === 'minor') {
-            // 小項目の親は中項目のみ
-            availableParents = this.todos.filter(t => t.category === 'middle');
-        }
-        
-        availableParents.forEach(parent => {
-            const option = document.createElement('option');
-            option.value = parent.id;
-            option.textContent = parent.text;
-            parentSelect.appendChild(option);
-        });
+        if (!parentSelect) return;
+        const selectedId = parentSelect.value ? Number(parentSelect.value) : null;
+        this.fillParentOptions(parentSelect, new Set(), selectedId);
+    }
+
+    // 親項目の選択肢をツリー順に階層付きで並べる
+    fillParentOptions(parentSelect, excludedIds, selectedId) {
+        parentSelect.innerHTML = '<option value="">親項目なし（大項目）</option>';
+
+        const todosById = new Map(this.todos.map(t => [t.id, t]));
+        const visited = new Set();
+        const addOptions = (parentId, depth) => {
+            this.getSiblings(parentId).forEach(todo => {
+                if (visited.has(todo.id) || excludedIds.has(todo.id)) return;
+                visited.add(todo.id);
+
+                const option = document.createElement('option');
+                option.value = todo.id;
+                option.textContent = `${'　'.repeat(depth)}${depth > 0 ? '└ ' : ''}${todo.text}`;
+                option.title = `${this.getLevelLabel(depth + 1)}として追加`;
+                if (todo.id === selectedId) {
+                    option.selected = true;
+                }
+                parentSelect.appendChild(option);
+                addOptions(todo.id, depth + 1);
+            });
+        };
+        addOptions(null, 0);
+        // 親項目が見つからないタスクも選べるようにする
+        this.todos
+            .filter(todo => !visited.has(todo.id) && !excludedIds.has(todo.id) && !todosById.has(todo.parentId))
+            .sort((a, b) => this.compareOrder(a, b))
+            .forEach(todo => {
+                visited.add(todo.id);
+                const option = document.createElement('option');
+                option.value = todo.id;
+                option.textContent = todo.text;
+                if (todo.id === selectedId) {
+                    option.selected = true;
+                }
+                parentSelect.appendChild(option);
+                addOptions(todo.id, 1);
+            });
     }
 
     async addSelectedTodos() {
@@ -1248,53 +4142,60 @@ class TodoApp {
         }
 
         let addedCount = 0;
+        const history = this.beginHistory('メールからの追加');
 
-        for (const checkbox of checkboxes) {
-            const todoItem = checkbox.closest('.extracted-todo-item');
-            if (!todoItem) continue;
-
-            const todoText = todoItem.querySelector('.todo-text').textContent;
-            const priorityElement = todoItem.querySelector('.todo-priority');
-            const timeElement = todoItem.querySelector('.todo-time');
-            const deadlineElement = todoItem.querySelector('.todo-deadline');
+        try {
+            for (const checkbox of checkboxes) {
+                const todoItem = checkbox.closest('.extracted-todo-item');
+                if (!todoItem) continue;
+                const extracted = this.extractedTodos[Number(checkbox.id.replace('todo-', ''))];
+
+                const todoText = todoItem.querySelector('.todo-text').textContent;
+                const priorityElement = todoItem.querySelector('.todo-priority');
+                const timeElement = todoItem.querySelector('.todo-time');
+                const deadlineElement = todoItem.querySelector('.todo-deadline');
             
-            // 優先度の処理
-            let priority = 'medium';
-            if (priorityElement) {
-                const priorityText = priorityElement.textContent;
-                if (priorityText === '高') priority = 'high';
-                else if (priorityText === '低') priority = 'low';
-            }
+                // 優先度の処理
+                let priority = 'medium';
+                if (priorityElement) {
+                    const priorityText = priorityElement.textContent;
+                    if (priorityText === '高') priority = 'high';
+                    else if (priorityText === '低') priority = 'low';
+                }
             
-            const time = timeElement ? parseFloat(timeElement.textContent.replace('時間', '')) : 0;
-            const deadline = deadlineElement ? this.parseDateFromDisplay(deadlineElement.textContent) : '';
+                const time = timeElement ? parseFloat(timeElement.textContent.replace('時間', '')) || 0 : 0;
+                const deadline = deadlineElement ? this.parseDateFromDisplay(deadlineElement.textContent) : '';
 
-            // TODOアイテムを追加
-            const todo = {
-                text: todoText,
-                completed: false,
-                category: 'major', // デフォルトは大項目
-                parentId: null,
-                priority: priority,
-                status: 'not-started',
-                time: time,
-                deadline: deadline,
-                createdAt: new Date().toISOString()
-            };
+                // TODOアイテムを追加
+                const todo = this.createTodoRecord({
+                    text: todoText,
+                    priority: priority,
+                    time: time,
+                    deadline: deadline,
+                    source: this.sourceEmail ? {
+                        type: 'email',
+                        ...this.sourceEmail,
+                        lineNumber: extracted && Number.isInteger(extracted.lineNumber) ? extracted.lineNumber : null
+                    } : null
+                });
             
-            try {
-                await this.saveTodo(todo);
-                addedCount++;
-            } catch (error) {
-                console.error('Error adding todo:', error);
+                try {
+                    await this.saveTodo(todo);
+                    addedCount++;
+                } catch (error) {
+                    console.error('Error adding todo:', error);
+                }
             }
+        } finally {
+            // 途中で失敗しても追加済みのタスクを元に戻せるように記録する
+            this.commitHistory(history);
         }
 
         this.render();
         this.updateStats();
         this.closeEmailModal();
         
-        this.showNotification(`${addedCount}個のTODOアイテムを追加しました`, 'success');
+        this.showNotification(`${addedCount}個のTODOアイテムを追加しました`, 'success', this.getUndoAction());
     }
 
     // 抽出結果編集機能
@@ -1317,7 +4218,7 @@ class TodoApp {
         
         const todoItems = this.extractedTodos.map((todo, index) => `
             <div class="extracted-edit-todo-item" data-index="${index}">
-                <input type="text" value="${this.escapeHtml(todo.text)}" placeholder="TODO内容" class="edit-todo-text">
+                <input type="text" value="${this.escapeAttribute(todo.text)}" placeholder="TODO内容" class="edit-todo-text">
                 <select class="edit-todo-priority">
                     <option value="high" ${todo.priority === 'high' ? 'selected' : ''}>高</option>
                     <option value="medium" ${todo.priority === 'medium' ? 'selected' : ''}>中</option>
@@ -1350,7 +4251,7 @@ class TodoApp {
             status: 'not-started',
             time: 0,
             deadline: '',
-            lineNumber: this.extractedTodos.length + 1
+            lineNumber: null // 手動で追加した項目は元のメールの行がない
         };
         
         this.extractedTodos.push(newTodo);
@@ -1367,7 +4268,8 @@ class TodoApp {
         const todoItems = document.querySelectorAll('.extracted-edit-todo-item');
         const updatedTodos = [];
 
-        todoItems.forEach((item, index) => {
+        todoItems.forEach(item => {
+            const original = this.extractedTodos[Number(item.dataset.index)];
             const text = item.querySelector('.edit-todo-text').value.trim();
             const priority = item.querySelector('.edit-todo-priority').value;
             const status = item.querySelector('.edit-todo-status').value;
@@ -1381,7 +4283,7 @@ class TodoApp {
                     status: status,
                     time: time,
                     deadline: deadline,
-                    lineNumber: index + 1
+                    lineNumber: original ? original.lineNumber : null
                 });
             }
         });
@@ -1403,6 +4305,8 @@ class TodoApp {
 
     // スケジュール機能のメソッド
     openScheduleModal() {
+        this.fillWorkCalendarForm();
+        document.getElementById('scheduleStrategy').value = localStorage.getItem('todoApp_scheduleStrategy') || 'priority';
         document.getElementById('scheduleModal').style.display = 'block';
     }
 
@@ -1410,15 +4314,32 @@ class TodoApp {
         document.getElementById('scheduleModal').style.display = 'none';
     }
 
+    // 1日の作業時間は0.01時間単位で0より大きく24時間以内
+    isValidWorkHours(hours) {
+        return Number.isFinite(hours) && Math.round(hours * 100) / 100 > 0 && hours <= 24;
+    }
+
     generateSchedule() {
-        const workHoursPerDay = parseFloat(document.getElementById('workHoursPerDay').value) || 6;
+        const workHoursPerDay = parseFloat(document.getElementById('workHoursPerDay').value);
         const startDate = document.getElementById('startDate').value;
         
+        if (!this.isValidWorkHours(workHoursPerDay)) {
+            this.showNotification('1日の作業時間は0より大きく24以下で入力してください', 'warning');
+            return;
+        }
+
         if (!startDate) {
             this.showNotification('開始日を設定してください', 'warning');
             return;
         }
 
+        const calendar = this.readWorkCalendarForm();
+        if (calendar.error) {
+            this.showNotification(calendar.error, 'error');
+            return;
+        }
+        this.saveWorkCalendar(calendar);
+
         const activeTodos = this.todos.filter(t => !t.completed && t.time > 0);
         
         if (activeTodos.length === 0) {
@@ -1426,31 +4347,40 @@ class TodoApp {
             return;
         }
 
-        const schedule = this.createSchedule(activeTodos, workHoursPerDay, startDate);
-        this.displaySchedule(schedule);
+        const strategy = document.getElementById('scheduleStrategy').value || 'priority';
+        localStorage.setItem('todoApp_scheduleStrategy', strategy);
+        localStorage.setItem('todoApp_workHoursPerDay', String(workHoursPerDay));
+
+        const schedule = this.createSchedule(activeTodos, workHoursPerDay, startDate, strategy);
+        const lateTasks = this.analyzeDeadlines(schedule, startDate);
+        this.lastSchedule = schedule;
+        // 間に合わせるのに必要な作業時間は、求められたときにこの条件で計算し直す
+        this.lastScheduleOptions = { workHoursPerDay: workHoursPerDay, startDate: startDate, todos: activeTodos, strategy: strategy };
+        this.displaySchedule(schedule, lateTasks);
         
-        this.showNotification('スケジュールを生成しました', 'success');
+        if (lateTasks.length > 0) {
+            this.showNotification(`${lateTasks.length}件のタスクが期限に間に合いません`, 'warning');
+        } else {
+            this.showNotification('スケジュールを生成しました', 'success');
+        }
     }
 
-    createSchedule(todos, workHoursPerDay, startDate) {
-        // 優先度と期限でソート
-        const sortedTodos = todos.sort((a, b) => {
-            const priorityOrder = { high: 3, medium: 2, low: 1 };
-            const aPriority = priorityOrder[a.priority] || 2;
-            const bPriority = priorityOrder[b.priority] || 2;
-            
-            if (aPriority !== bPriority) {
-                return bPriority - aPriority;
-            }
-            
+    // strategy: 'priority'（優先度優先）| 'deadline'（期限優先）| 'weighted'（優先度と期限の重み付け）
+    // reserved: 日付ごとに確保済みの時間帯（再計画で動かさないタスク） { 'YYYY-MM-DD': [{ start, end, hours }] }
+    createSchedule(todos, workHoursPerDay, startDate, strategy = 'priority', reserved = new Map()) {
+        // 作業時間が0以下だと1日に何も割り振れず、終わらなくなる
+        if (!this.isValidWorkHours(workHoursPerDay)) {
+            throw new Error('1日の作業時間が正しくありません');
+        }
+        const priorityOrder = { high: 3, medium: 2, low: 1 };
+        const getPriority = (todo) => priorityOrder[todo.priority] || 2;
+        const compareDeadline = (a, b) => {
             // 期限がある場合は期限でソート
             const aNormalizedDeadline = this.normalizeDeadline(a.deadline);
             const bNormalizedDeadline = this.normalizeDeadline(b.deadline);
             
             if (aNormalizedDeadline && bNormalizedDeadline) {
-                const aDate = new Date(aNormalizedDeadline);
-                const bDate = new Date(bNormalizedDeadline);
-                return aDate - bDate;
+                return aNormalizedDeadline.localeCompare(bNormalizedDeadline);
             } else if (aNormalizedDeadline) {
                 return -1;
             } else if (bNormalizedDeadline) {
@@ -1458,70 +4388,776 @@ class TodoApp {
             }
             
             return 0;
+        };
+
+        let sortedTodos;
+        if (strategy === 'deadline') {
+            sortedTodos = todos.sort((a, b) => compareDeadline(a, b) || getPriority(b) - getPriority(a));
+        } else if (strategy === 'weighted') {
+            const scores = new Map(todos.map(todo => [todo.id, this.getScheduleScore(todo, getPriority(todo), startDate)]));
+            sortedTodos = todos.sort((a, b) => scores.get(b.id) - scores.get(a.id) || compareDeadline(a, b));
+        } else {
+            // 優先度と期限でソート
+            sortedTodos = todos.sort((a, b) => getPriority(b) - getPriority(a) || compareDeadline(a, b));
+        }
+
+        const queue = this.orderByDependencies(sortedTodos).map(todo => ({ todo: todo, remaining: todo.time }));
+        const ids = new Set(todos.map(t => t.id));
+        const finished = new Set();
+        // 依存先のタスクがすべて割り振り済みなら開始できる
+        const isReady = (item) => (item.todo.blockedBy || []).every(id => !ids.has(id) || finished.has(id));
+        const round = (hours) => Math.round(hours * 100) / 100;
+
+        const schedule = [];
+        const currentDate = this.parseLocalDate(startDate);
+        let carry = null; // 前日から続く分割中のタスク
+
+        while (carry || queue.length > 0) {
+            // 稼働日のみに割り振り
+            this.skipToWorkingDay(currentDate);
+
+            const day = { date: new Date(currentDate), tasks: [], totalHours: 0 };
+            const fixedSlots = reserved.get(this.formatDateForComparison(currentDate)) || [];
+            const capacity = round(workHoursPerDay - fixedSlots.reduce((sum, slot) => sum + slot.hours, 0));
+            let used = 0;
+
+            while (round(capacity - used) > 0) {
+                let item = carry;
+                if (!item) {
+                    if (queue.length === 0) break;
+                    const free = round(capacity - used);
+                    // 依存関係が循環している場合は先頭から割り振る
+                    let index = Math.max(0, queue.findIndex(isReady));
+                    // 1日に収まるタスクが残り時間に入らない場合は、後ろの収まるタスクで残り時間を埋める
+                    // 1日に収まらないタスクは残り時間から始めて翌日以降に分割する
+                    if (queue[index].remaining > free && queue[index].remaining <= workHoursPerDay) {
+                        index = queue.findIndex(candidate => isReady(candidate) && candidate.remaining <= free);
+                        if (index === -1) break;
+                    }
+                    item = queue.splice(index, 1)[0];
+                }
+
+                const hours = round(Math.min(item.remaining, capacity - used));
+                const timeRanges = this.getClockRanges(used, hours, fixedSlots);
+                day.tasks.push({
+                    ...item.todo,
+                    hours: hours,
+                    startTime: timeRanges.length > 0 ? timeRanges[0].start : this.calculateStartTime(used),
+                    timeRanges: timeRanges
+                });
+                used = round(used + hours);
+                item.remaining = round(item.remaining - hours);
+
+                if (item.remaining > 0) {
+                    carry = item;
+                    break;
+                }
+                carry = null;
+                finished.add(item.todo.id);
+            }
+
+            day.totalHours = used;
+            if (day.tasks.length > 0) {
+                schedule.push(day);
+            }
+            currentDate.setDate(currentDate.getDate() + 1);
+        }
+
+        // 複数日に分割したタスクに「2/3」のような番号を付ける
+        const parts = new Map();
+        schedule.forEach(day => day.tasks.forEach(task => {
+            if (!parts.has(task.id)) parts.set(task.id, []);
+            parts.get(task.id).push(task);
+        }));
+        parts.forEach(chunks => {
+            if (chunks.length < 2) return;
+            chunks.forEach((task, index) => {
+                task.part = index + 1;
+                task.partCount = chunks.length;
+            });
+        });
+
+        return schedule;
+    }
+
+    // 重み付けの点数（優先度1〜3点＋期限の近さ0〜3点、期限切れ・30日以内ほど高い）
+    getScheduleScore(todo, priority, startDate) {
+        const deadline = this.normalizeDeadline(todo.deadline);
+        if (!deadline) return priority;
+
+        const daysLeft = Math.round((this.parseLocalDate(deadline) - this.parseLocalDate(startDate)) / (24 * 60 * 60 * 1000));
+        const urgency = 3 * (1 - Math.min(Math.max(daysLeft, 0), 30) / 30);
+        return priority + urgency;
+    }
+
+    // 期限までに終わらないタスクを調べる
+    // 遅れる日数と、期限に間に合わせるために1日あたり追加で必要な作業時間を返す
+    // todos・strategy はスケジュールを作ったときと同じものを渡す（必要な作業時間を求め直すのに使う）
+    analyzeDeadlines(schedule, startDate) {
+        const lastChunks = new Map();
+        schedule.forEach(day => day.tasks.forEach(task => {
+            lastChunks.set(task.id, { task: task, finishDate: day.date });
+        }));
+
+        const lateTasks = [];
+        lastChunks.forEach(({ task, finishDate }) => {
+            const deadline = this.normalizeDeadline(task.deadline);
+            if (!deadline || this.formatDateForComparison(finishDate) <= deadline) return;
+
+            const deadlineDate = this.parseLocalDate(deadline);
+            const daysLate = Math.round((finishDate - deadlineDate) / (24 * 60 * 60 * 1000));
+
+            lateTasks.push({
+                id: task.id,
+                text: task.text,
+                deadline: deadline,
+                finishDate: finishDate,
+                daysLate: daysLate,
+                // 期限が開始日より前の場合は作業時間を増やしても間に合わない
+                reason: this.countWorkingDays(startDate, deadline) > 0 ? null : 'before-start'
+            });
+        });
+
+        return lateTasks;
+    }
+
+    // タスクが期限までに終わる1日の作業時間を、0.1時間単位でスケジュールを作り直して求める
+    // 詰め込みで余る時間も反映されるよう、計算式ではなく実際の割り振り結果で判定する
+    // 期限に間に合わないタスクの「1日あたり何時間増やせば間に合うか」を表示する
+    // スケジュールを何度も作り直すため、スケジュール生成時ではなくボタンを押したときだけ計算する
+    showRequiredWorkHours(id, button) {
+        const options = this.lastScheduleOptions;
+        const todo = options && options.todos.find(t => t.id === id);
+        if (!todo) return;
+
+        const { workHoursPerDay, startDate, todos, strategy } = options;
+        const requiredHours = this.findRequiredWorkHours(id, this.normalizeDeadline(todo.deadline), workHoursPerDay, startDate, todos, strategy);
+        const extraHours = requiredHours !== null ? Math.round((requiredHours - workHoursPerDay) * 10) / 10 : null;
+
+        const result = document.createElement('span');
+        result.className = 'schedule-warning-fix';
+        result.textContent = extraHours > 0 ?
+            `1日あたり${extraHours}時間増やせば間に合います` :
+            '1日の作業時間を増やしても間に合いません';
+        button.replaceWith(result);
+    }
+
+    findRequiredWorkHours(id, deadline, workHoursPerDay, startDate, todos, strategy) {
+        const finishesInTime = (hours) => {
+            const schedule = this.createSchedule(todos.map(todo => ({ ...todo })), hours, startDate, strategy);
+            const days = schedule.filter(day => day.tasks.some(task => task.id === id));
+            return days.length > 0 && this.formatDateForComparison(days[days.length - 1].date) <= deadline;
+        };
+
+        let low = Math.round(workHoursPerDay * 10); // 間に合わない
+        let high = 240; // 24時間
+        if (low >= high || !finishesInTime(high / 10)) return null;
+        while (high - low > 1) {
+            const middle = Math.floor((low + high) / 2);
+            if (finishesInTime(middle / 10)) {
+                high = middle;
+            } else {
+                low = middle;
+            }
+        }
+        return high / 10;
+    }
+
+    countWorkingDays(startDate, endDate) {
+        const date = this.parseLocalDate(startDate);
+        const end = this.parseLocalDate(endDate);
+        let count = 0;
+        while (date <= end) {
+            if (this.isWorkingDay(date)) count++;
+            date.setDate(date.getDate() + 1);
+        }
+        return count;
+    }
+
+    // スケジュールからタスクごとの予定（予定日・開始時刻・日ごとの作業時間）を作る
+    getPlansFromSchedule(schedule) {
+        const plans = new Map();
+        schedule.forEach(day => day.tasks.forEach(task => {
+            const date = this.formatDateForComparison(day.date);
+            const ranges = task.timeRanges || [];
+            const chunk = {
+                date: date,
+                startTime: task.startTime,
+                endTime: ranges.length > 0 ? ranges[ranges.length - 1].end : task.startTime,
+                hours: task.hours ?? task.time,
+                ranges: ranges.map(range => ({ start: range.start, end: range.end })) // 休憩で区切られた作業時間帯
+            };
+            if (!plans.has(task.id)) {
+                plans.set(task.id, { date: date, startTime: task.startTime, chunks: [] });
+            }
+            plans.get(task.id).chunks.push(chunk);
+        }));
+        return plans;
+    }
+
+    // 予定をタスクに保存する（keptIdsのタスクは今の予定を残し、計画に含まれない未完了タスクの予定は外す）
+    async applySchedule(schedule, keptIds = new Set(), label = 'スケジュールの保存') {
+        const plans = this.getPlansFromSchedule(schedule);
+        const changed = [];
+        this.todos.forEach(todo => {
+            if (keptIds.has(todo.id)) return;
+            if (plans.has(todo.id)) {
+                changed.push({ ...todo, plan: plans.get(todo.id) });
+            } else if (todo.plan && !todo.completed) {
+                changed.push({ ...todo, plan: null });
+            }
+        });
+
+        const history = this.beginHistory(label);
+        try {
+            this.showLoading();
+            await this.writeStores({ todos: { put: changed } });
+            this.hideLoading();
+            this.showNotification(`${label}が完了しました`, 'success', this.getUndoAction());
+        } catch (error) {
+            this.hideLoading();
+            console.error('Error saving schedule:', error);
+            this.showNotification('スケジュールの保存に失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
+        }
+    }
+
+    async saveSchedule() {
+        if (!this.lastSchedule) return;
+        await this.applySchedule(this.lastSchedule);
+        this.closeScheduleModal();
+    }
+
+    // 今日以降の予定を立て直す（取り組み中と固定したタスクは今の予定のまま）
+    async replanSchedule() {
+        const storedHours = localStorage.getItem('todoApp_workHoursPerDay');
+        const workHoursPerDay = storedHours === null ? 6 : parseFloat(storedHours);
+        if (!this.isValidWorkHours(workHoursPerDay)) {
+            this.showNotification('1日の作業時間が正しくありません。スケジュール画面で設定し直してください', 'warning');
+            return;
+        }
+        const strategy = localStorage.getItem('todoApp_scheduleStrategy') || 'priority';
+        const now = new Date();
+        const today = this.formatDateForComparison(now);
+
+        const fixed = this.todos.filter(t => !t.completed && t.plan && (t.status === 'in-progress' || t.pinned));
+        const reserved = new Map();
+        const reserve = (date, slot) => {
+            if (!reserved.has(date)) reserved.set(date, []);
+            reserved.get(date).push(slot);
+        };
+        const startMinutes = this.parseTimeToMinutes(this.workCalendar.startTime);
+        const nowMinutes = now.getHours() * 60 + now.getMinutes();
+        const breakMinutesBetween = (start, end) => this.getBreakMinutes().reduce((sum, b) =>
+            sum + Math.max(0, Math.min(b.end, end) - Math.max(b.start, start)), 0);
+
+        fixed.forEach(todo => todo.plan.chunks
+            .filter(chunk => chunk.date >= today)
+            .forEach(chunk => {
+                if (chunk.date !== today) {
+                    reserve(chunk.date, { start: chunk.startTime, end: chunk.endTime, hours: chunk.hours });
+                    return;
+                }
+                // 今日の分は経過した時間（下で確保する）と重ならないよう、現在時刻より後の部分だけを確保する
+                (chunk.ranges || [{ start: chunk.startTime, end: chunk.endTime }]).forEach(range => {
+                    const start = Math.max(this.parseTimeToMinutes(range.start), nowMinutes);
+                    const end = this.parseTimeToMinutes(range.end);
+                    if (end <= start) return;
+                    const hours = (end - start - breakMinutesBetween(start, end)) / 60;
+                    reserve(today, { start: this.formatMinutes(start), end: range.end, hours: Math.round(hours * 100) / 100 });
+                });
+            }));
+
+        // 今日の経過した時間には割り振らない
+        if (nowMinutes > startMinutes) {
+            const elapsedHours = Math.min(workHoursPerDay, (nowMinutes - startMinutes - breakMinutesBetween(startMinutes, nowMinutes)) / 60);
+            reserve(today, { start: this.workCalendar.startTime, end: this.formatMinutes(nowMinutes), hours: Math.round(elapsedHours * 100) / 100 });
+        }
+
+        const fixedIds = new Set(fixed.map(t => t.id));
+        const targets = this.todos.filter(t => !t.completed && t.time > 0 && !fixedIds.has(t.id));
+        const schedule = this.createSchedule(targets, workHoursPerDay, today, strategy, reserved);
+        await this.applySchedule(schedule, fixedIds, '再計画');
+    }
+
+    async togglePinned(id) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo) return;
+
+        const history = this.beginHistory(todo.pinned ? '予定の固定を解除' : '予定の固定');
+        try {
+            await this.writeStores({ todos: { put: [{ ...todo, pinned: !todo.pinned }] } });
+            this.render();
+        } catch (error) {
+            console.error('Error pinning todo:', error);
+            this.showNotification('TODOの更新に失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
+        }
+    }
+
+    // 今日の予定・期限切れ・予定から遅れているタスクを表示する
+    getTodayHTML(filteredTodos) {
+        const today = this.formatDateForComparison(new Date());
+        const visible = filteredTodos.filter(todo => !todo.completed || (todo.plan && todo.plan.chunks.some(chunk => chunk.date === today)));
+
+        const planned = [];
+        visible.forEach(todo => (todo.plan ? todo.plan.chunks : [])
+            .filter(chunk => chunk.date === today)
+            .forEach(chunk => planned.push({ todo: todo, chunk: chunk })));
+        planned.sort((a, b) => a.chunk.startTime.localeCompare(b.chunk.startTime));
+
+        const overdue = visible.filter(todo => {
+            const deadline = this.normalizeDeadline(todo.deadline);
+            return !todo.completed && deadline && deadline < today;
+        });
+        const overdueIds = new Set(overdue.map(todo => todo.id));
+        const slipped = visible.filter(todo => !todo.completed && !overdueIds.has(todo.id) && todo.plan &&
+            todo.plan.chunks.every(chunk => chunk.date < today));
+
+        const pinButton = (todo) => `
+            <button class="today-pin ${todo.pinned ? 'active' : ''}" onclick="todoApp.togglePinned(${todo.id})" title="${todo.pinned ? '予定の固定を解除' : '再計画しても予定を動かさない'}">
+                <i class="fas fa-thumbtack"></i>
+            </button>
+        `;
+        const section = (title, icon, items, emptyMessage) => `
+            <div class="today-section">
+                <h3 class="today-section-title"><i class="${icon}"></i> ${title} (${items.length})</h3>
+                ${items.length > 0 ? items.join('') : `<p class="today-empty">${emptyMessage}</p>`}
+            </div>
+        `;
+
+        const plannedItems = planned.map(({ todo, chunk }) => `
+            <div class="today-item">
+                <div class="today-time">${chunk.startTime}〜${chunk.endTime}</div>
+                ${pinButton(todo)}
+                ${this.getTodoHTML(todo, { draggable: false })}
+            </div>
+        `);
+        const overdueItems = overdue.map(todo => `
+            <div class="today-item">
+                <div class="today-time overdue">期限 ${this.formatDate(this.normalizeDeadline(todo.deadline))}</div>
+                ${this.getTodoHTML(todo, { draggable: false })}
+            </div>
+        `);
+        const slippedItems = slipped.map(todo => `
+            <div class="today-item">
+                <div class="today-time slipped">予定 ${this.formatDate(todo.plan.date)}</div>
+                ${pinButton(todo)}
+                ${this.getTodoHTML(todo, { draggable: false })}
+            </div>
+        `);
+
+        return `
+            <div class="today-header">
+                <span>${this.formatDate(today)}（${this.getDayName(new Date().getDay())}）の予定</span>
+                <button class="generate-btn" onclick="todoApp.replanSchedule()" title="取り組み中と固定したタスク以外を今日から割り振り直します">
+                    <i class="fas fa-sync-alt"></i> 再計画
+                </button>
+            </div>
+            ${section('今日の予定', 'fas fa-calendar-day', plannedItems, '今日の予定はありません。スケジュールを保存するか再計画してください')}
+            ${section('期限切れ', 'fas fa-exclamation-circle', overdueItems, '期限切れのタスクはありません')}
+            ${section('予定から遅れているタスク', 'fas fa-history', slippedItems, '遅れているタスクはありません')}
+        `;
+    }
+
+    // 元のメールごとにタスクをまとめて表示する（新しいメールが上）
+    getEmailGroupsHTML(filteredTodos) {
+        const groups = new Map();
+        filteredTodos.filter(todo => todo.source && todo.source.type === 'email').forEach(todo => {
+            if (!groups.has(todo.source.id)) groups.set(todo.source.id, []);
+            groups.get(todo.source.id).push(todo);
+        });
+
+        if (groups.size === 0) {
+            return `
+                <div class="empty-state">
+                    <i class="fas fa-envelope-open"></i>
+                    <h3>メールから作成したタスクがありません</h3>
+                    <p>「メールからTODOを作成」で追加したタスクが、元のメールごとに表示されます</p>
+                </div>
+            `;
+        }
+
+        const groupDate = (todos) => todos[0].source.date || todos[0].createdAt || '';
+        return [...groups.values()]
+            .sort((a, b) => groupDate(b).localeCompare(groupDate(a)))
+            .map(todos => {
+                const source = todos[0].source;
+                const completedCount = todos.filter(todo => todo.completed).length;
+                const sorted = [...todos].sort((a, b) => (a.source.lineNumber ?? Infinity) - (b.source.lineNumber ?? Infinity));
+                return `
+                    <div class="email-group">
+                        <div class="email-group-header">
+                            <div>
+                                <h3 class="today-section-title"><i class="fas fa-envelope"></i> ${this.escapeHtml(source.subject || '（件名なし）')}</h3>
+                                <div class="email-group-meta">
+                                    ${source.from ? `<span>${this.escapeHtml(source.from)}</span>` : ''}
+                                    ${source.date ? `<span>${new Date(source.date).toLocaleString('ja-JP')}</span>` : ''}
+                                    <span>${completedCount}/${todos.length}件完了</span>
+                                </div>
+                            </div>
+                            <button class="clear-btn" onclick="todoApp.openSourceModal(${sorted[0].id})">
+                                <i class="fas fa-envelope-open-text"></i> 元のメール
+                            </button>
+                        </div>
+                        ${sorted.map(todo => this.getTodoHTML(todo, { draggable: false })).join('')}
+                    </div>
+                `;
+            }).join('');
+    }
+
+    // 元のメールを表示し、タスクを抽出した行を強調する
+    openSourceModal(id) {
+        const todo = this.todos.find(t => t.id === id);
+        if (!todo || !todo.source) return;
+        const source = todo.source;
+        const hasLine = Number.isInteger(source.lineNumber);
+        const bodyLine = this.getEmailBodyLine(source.lineNumber);
+
+        document.getElementById('sourceMeta').innerHTML = `
+            <div class="source-field ${hasLine && bodyLine === 0 ? 'highlight' : ''}"><span>件名</span>${this.escapeHtml(source.subject || '（件名なし）')}</div>
+            ${source.from ? `<div class="source-field"><span>差出人</span>${this.escapeHtml(source.from)}</div>` : ''}
+            ${source.date ? `<div class="source-field"><span>日時</span>${new Date(source.date).toLocaleString('ja-JP')}</div>` : ''}
+        `;
+        document.getElementById('sourceBody').innerHTML = (source.body || '').split('\n').map((line, index) => `
+            <div class="email-line ${hasLine && bodyLine === index + 1 ? 'highlight' : ''}" data-line="${index + 1}">${this.escapeHtml(line) || '&nbsp;'}</div>
+        `).join('');
+
+        // 同じメールから作成したタスク（クリックするとそのタスクの行を表示）
+        const related = this.todos
+            .filter(t => t.source && t.source.id === source.id)
+            .sort((a, b) => (a.source.lineNumber ?? Infinity) - (b.source.lineNumber ?? Infinity));
+        document.getElementById('sourceTasks').innerHTML = `
+            <h3>このメールから作成したタスク (${related.length}個)</h3>
+            ${related.map(t => `
+                <div class="source-task ${t.id === id ? 'active' : ''} ${t.completed ? 'completed' : ''}" onclick="todoApp.openSourceModal(${t.id})">
+                    <span class="source-task-line">${this.getEmailLineLabel(t.source.lineNumber)}</span>
+                    <span class="source-task-text">${this.escapeHtml(t.text)}</span>
+                    <span class="todo-status ${t.completed ? 'completed' : t.status}">${t.completed ? '完了' : this.getStatusLabel(t.status)}</span>
+                </div>
+            `).join('')}
+        `;
+
+        document.getElementById('sourceModal').style.display = 'block';
+        const highlighted = document.querySelector('#sourceBody .email-line.highlight');
+        if (highlighted) {
+            highlighted.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    closeSourceModal() {
+        document.getElementById('sourceModal').style.display = 'none';
+    }
+
+    // 依存先のタスクより後に並ぶよう、並び順を保ったまま入れ替える
+    orderByDependencies(todos) {
+        const ids = new Set(todos.map(t => t.id));
+        const placed = new Set();
+        const pending = [...todos];
+        const ordered = [];
+
+        while (pending.length > 0) {
+            let index = pending.findIndex(todo =>
+                (todo.blockedBy || []).every(id => !ids.has(id) || placed.has(id)));
+            // 循環している場合はそのままの順で割り振る
+            if (index === -1) index = 0;
+            const [todo] = pending.splice(index, 1);
+            placed.add(todo.id);
+            ordered.push(todo);
+        }
+        return ordered;
+    }
+
+    calculateStartTime(hoursFromStart) {
+        // 休憩時間を除いて数える
+        const ranges = this.getClockRanges(hoursFromStart, 0);
+        return ranges.length > 0 ? ranges[0].start : this.workCalendar.startTime;
+    }
+
+    // 勤務開始からoffsetHours時間後に始めてdurationHours時間作業したときの時刻の範囲（休憩をまたぐ場合は分割）
+    // extraBreaks には確保済みの時間帯など、その日だけ作業できない時間を渡す
+    getClockRanges(offsetHours, durationHours, extraBreaks = []) {
+        const breaks = this.getBreakMinutes(extraBreaks);
+        let cursor = this.parseTimeToMinutes(this.workCalendar.startTime);
+        const ranges = [];
+
+        const advance = (minutes, collect) => {
+            while (minutes > 0) {
+                const current = breaks.find(b => b.end > cursor);
+                if (current && current.start <= cursor) {
+                    cursor = current.end;
+                    continue;
+                }
+                const step = Math.min(minutes, current ? current.start - cursor : minutes);
+                if (collect) {
+                    ranges.push({ start: this.formatMinutes(cursor), end: this.formatMinutes(cursor + step) });
+                }
+                cursor += step;
+                minutes -= step;
+            }
+        };
+
+        advance(Math.round(offsetHours * 60), false);
+        if (durationHours > 0) {
+            advance(Math.round(durationHours * 60), true);
+        } else {
+            // 作業時間がない場合も休憩中にならないよう開始時刻だけ求める
+            const current = breaks.find(b => b.start <= cursor && b.end > cursor);
+            if (current) cursor = current.end;
+            ranges.push({ start: this.formatMinutes(cursor), end: this.formatMinutes(cursor) });
+        }
+        return ranges;
+    }
+
+    parseTimeToMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    formatMinutes(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    // 休憩時間を開始順に並べ、重なっているものはまとめる
+    getBreakMinutes(extraBreaks = []) {
+        const breaks = [...this.workCalendar.breaks, ...extraBreaks]
+            .map(b => ({ start: this.parseTimeToMinutes(b.start), end: this.parseTimeToMinutes(b.end) }))
+            .filter(b => b.end > b.start)
+            .sort((a, b) => a.start - b.start);
+
+        return breaks.reduce((merged, b) => {
+            const last = merged[merged.length - 1];
+            if (last && b.start <= last.end) {
+                last.end = Math.max(last.end, b.end);
+            } else {
+                merged.push({ ...b });
+            }
+            return merged;
+        }, []);
+    }
+
+    // 稼働日カレンダー
+    getDefaultWorkCalendar() {
+        return {
+            workDays: [1, 2, 3, 4, 5],
+            startTime: '09:00',
+            breaks: [{ start: '12:00', end: '13:00' }],
+            holidays: [], // 会社独自の休日 { start, end, name }
+            useNationalHolidays: true
+        };
+    }
+
+    loadWorkCalendar() {
+        const defaults = this.getDefaultWorkCalendar();
+        try {
+            const stored = JSON.parse(localStorage.getItem('todoApp_workCalendar') || 'null');
+            return stored ? { ...defaults, ...stored } : defaults;
+        } catch (error) {
+            console.error('稼働日設定の読み込みエラー:', error);
+            return defaults;
+        }
+    }
+
+    saveWorkCalendar(calendar) {
+        this.workCalendar = calendar;
+        localStorage.setItem('todoApp_workCalendar', JSON.stringify(calendar));
+    }
+
+    fillWorkCalendarForm() {
+        const calendar = this.workCalendar;
+        document.querySelectorAll('input[name="workDays"]').forEach(input => {
+            input.checked = calendar.workDays.includes(Number(input.value));
         });
+        document.getElementById('workStartTime').value = calendar.startTime;
+        document.getElementById('workBreaks').value = calendar.breaks.map(b => `${b.start}-${b.end}`).join('\n');
+        document.getElementById('companyHolidays').value = calendar.holidays
+            .map(h => `${h.start === h.end ? h.start : `${h.start}~${h.end}`}${h.name ? ` ${h.name}` : ''}`)
+            .join('\n');
+        document.getElementById('useNationalHolidays').checked = calendar.useNationalHolidays;
+        this.renderNationalHolidays();
+    }
+
+    // 入力内容を稼働日設定に変換する（不正な入力がある場合はerrorを返す）
+    readWorkCalendarForm() {
+        const workDays = Array.from(document.querySelectorAll('input[name="workDays"]:checked')).map(input => Number(input.value));
+        if (workDays.length === 0) {
+            return { error: '稼働する曜日を1つ以上選択してください' };
+        }
+
+        const startTime = document.getElementById('workStartTime').value || '09:00';
+
+        const breaks = [];
+        const breakLines = document.getElementById('workBreaks').value.split('\n').map(line => line.trim()).filter(line => line);
+        for (const line of breakLines) {
+            const match = line.match(/^(\d{1,2}:\d{2})\s*[-~〜]\s*(\d{1,2}:\d{2})$/);
+            if (!match || this.parseTimeToMinutes(match[1]) >= this.parseTimeToMinutes(match[2])) {
+                return { error: `休憩時間の形式が正しくありません: ${line}` };
+            }
+            breaks.push({ start: match[1].padStart(5, '0'), end: match[2].padStart(5, '0') });
+        }
+
+        const holidays = [];
+        const holidayLines = document.getElementById('companyHolidays').value.split('\n').map(line => line.trim()).filter(line => line);
+        for (const line of holidayLines) {
+            const match = line.match(/^(\d{4}-\d{2}-\d{2})(?:\s*[~〜]\s*(\d{4}-\d{2}-\d{2}))?(?:\s+(.+))?$/);
+            if (!match || (match[2] && match[2] < match[1])) {
+                return { error: `会社の休日の形式が正しくありません: ${line}` };
+            }
+            holidays.push({ start: match[1], end: match[2] || match[1], name: match[3] || '' });
+        }
+
+        return {
+            workDays: workDays,
+            startTime: startTime,
+            breaks: breaks,
+            holidays: holidays,
+            useNationalHolidays: document.getElementById('useNationalHolidays').checked
+        };
+    }
+
+    // 開始日の年の祝日を一覧表示する
+    renderNationalHolidays() {
+        const container = document.getElementById('nationalHolidayList');
+        if (!container) return;
+
+        const startDate = document.getElementById('startDate').value;
+        const year = startDate ? this.parseLocalDate(startDate).getFullYear() : new Date().getFullYear();
+        const holidays = [...this.getJapaneseHolidays(year).entries()].sort((a, b) => a[0].localeCompare(b[0]));
+
+        container.innerHTML = `
+            <h4>${year}年の祝日</h4>
+            <ul>
+                ${holidays.map(([date, name]) => `<li><span>${this.formatDate(date)}（${this.getDayName(this.parseLocalDate(date).getDay())}）</span>${name}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    getNonWorkingReason(date) {
+        const key = this.formatDateForComparison(date);
+        const holiday = this.workCalendar.holidays.find(h => key >= h.start && key <= h.end);
+        if (holiday) return holiday.name || '会社の休日';
+        if (this.workCalendar.useNationalHolidays) {
+            const name = this.getJapaneseHolidays(date.getFullYear()).get(key);
+            if (name) return name;
+        }
+        if (!this.workCalendar.workDays.includes(date.getDay())) return '休日';
+        return null;
+    }
+
+    isWorkingDay(date) {
+        return this.getNonWorkingReason(date) === null;
+    }
+
+    // 稼働日になるまで日付を進める（dateを直接変更する）
+    skipToWorkingDay(date) {
+        for (let i = 0; i < 366 * 2; i++) {
+            if (this.isWorkingDay(date)) return date;
+            date.setDate(date.getDate() + 1);
+        }
+        throw new Error('稼働日が見つかりません');
+    }
 
-        const schedule = [];
-        let currentDate = new Date(startDate);
-        let currentDayHours = 0;
-        let currentDayTasks = [];
-
-        for (const todo of sortedTodos) {
-            // 平日のみ（月-金）に割り振り
-            while (currentDate.getDay() === 0 || currentDate.getDay() === 6) {
-                currentDate.setDate(currentDate.getDate() + 1);
-            }
-
-            // 新しい日を開始
-            if (currentDayHours + todo.time > workHoursPerDay) {
-                if (currentDayTasks.length > 0) {
-                    schedule.push({
-                        date: new Date(currentDate),
-                        tasks: [...currentDayTasks],
-                        totalHours: currentDayHours
-                    });
-                }
-                
-                currentDate.setDate(currentDate.getDate() + 1);
-                while (currentDate.getDay() === 0 || currentDate.getDay() === 6) {
-                    currentDate.setDate(currentDate.getDate() + 1);
+    // 日本の祝日（内閣府の規定に基づき計算。春分・秋分は1900〜2150年の近似式）
+    getJapaneseHolidays(year) {
+        if (this.holidayCache.has(year)) {
+            return this.holidayCache.get(year);
+        }
+
+        const holidays = new Map();
+        const key = (month, day) => this.formatDateForComparison(new Date(year, month - 1, day));
+        const add = (month, day, name) => holidays.set(key(month, day), name);
+        const addMonday = (month, week, name) => add(month, this.getNthWeekdayOfMonth(year, month - 1, week, 1).getDate(), name);
+
+        add(1, 1, '元日');
+        if (year >= 2000) addMonday(1, 2, '成人の日');
+        else if (year >= 1949) add(1, 15, '成人の日');
+        if (year >= 1967) add(2, 11, '建国記念の日');
+        if (year >= 2020) add(2, 23, '天皇誕生日');
+        add(3, this.getEquinoxDay(year, 'spring'), '春分の日');
+        if (year >= 2007) add(4, 29, '昭和の日');
+        else if (year >= 1989) add(4, 29, 'みどりの日');
+        else if (year >= 1949) add(4, 29, '天皇誕生日');
+        add(5, 3, '憲法記念日');
+        if (year >= 2007) add(5, 4, 'みどりの日');
+        add(5, 5, 'こどもの日');
+        if (year === 2020) add(7, 23, '海の日');
+        else if (year === 2021) add(7, 22, '海の日');
+        else if (year >= 2003) addMonday(7, 3, '海の日');
+        else if (year >= 1996) add(7, 20, '海の日');
+        if (year === 2020) add(8, 10, '山の日');
+        else if (year === 2021) add(8, 8, '山の日');
+        else if (year >= 2016) add(8, 11, '山の日');
+        if (year >= 2003) addMonday(9, 3, '敬老の日');
+        else if (year >= 1966) add(9, 15, '敬老の日');
+        add(9, this.getEquinoxDay(year, 'autumn'), '秋分の日');
+        if (year === 2020) add(7, 24, 'スポーツの日');
+        else if (year === 2021) add(7, 23, 'スポーツの日');
+        else if (year >= 2020) addMonday(10, 2, 'スポーツの日');
+        else if (year >= 2000) addMonday(10, 2, '体育の日');
+        else if (year >= 1966) add(10, 10, '体育の日');
+        add(11, 3, '文化の日');
+        add(11, 23, '勤労感謝の日');
+        if (year >= 1989 && year <= 2018) add(12, 23, '天皇誕生日');
+
+        // 皇室の慶弔行事などによる一度限りの休日
+        const specialHolidays = {
+            1959: [[4, 10, '皇太子明仁親王の結婚の儀']],
+            1989: [[2, 24, '昭和天皇の大喪の礼']],
+            1990: [[11, 12, '即位礼正殿の儀']],
+            1993: [[6, 9, '皇太子徳仁親王の結婚の儀']],
+            2019: [[5, 1, '天皇の即位の日'], [10, 22, '即位礼正殿の儀']]
+        };
+        (specialHolidays[year] || []).forEach(([month, day, name]) => add(month, day, name));
+
+        // 前後を祝日に挟まれた平日は国民の休日（1988年以降）
+        if (year >= 1988) {
+            const date = new Date(year, 0, 2);
+            while (date.getFullYear() === year) {
+                const before = new Date(date);
+                before.setDate(before.getDate() - 1);
+                const after = new Date(date);
+                after.setDate(after.getDate() + 1);
+                const current = this.formatDateForComparison(date);
+                if (!holidays.has(current) && date.getDay() !== 0 &&
+                    holidays.has(this.formatDateForComparison(before)) && holidays.has(this.formatDateForComparison(after))) {
+                    holidays.set(current, '国民の休日');
                 }
-                
-                currentDayHours = 0;
-                currentDayTasks = [];
+                date.setDate(date.getDate() + 1);
             }
-
-            currentDayTasks.push({
-                ...todo,
-                startTime: this.calculateStartTime(currentDayHours)
-            });
-            currentDayHours += todo.time;
         }
 
-        // 最後の日のタスクを追加
-        if (currentDayTasks.length > 0) {
-            schedule.push({
-                date: new Date(currentDate),
-                tasks: currentDayTasks,
-                totalHours: currentDayHours
+        // 日曜日の祝日は次の平日が振替休日（1973年以降、2007年以降は祝日が続く場合さらに次の日）
+        if (year >= 1973) {
+            [...holidays.keys()].forEach(dateKey => {
+                const date = this.parseLocalDate(dateKey);
+                if (date.getDay() !== 0) return;
+                do {
+                    date.setDate(date.getDate() + 1);
+                } while (year >= 2007 && holidays.has(this.formatDateForComparison(date)));
+                const substitute = this.formatDateForComparison(date);
+                if (!holidays.has(substitute) && date.getFullYear() === year) {
+                    holidays.set(substitute, '振替休日');
+                }
             });
         }
 
-        return schedule;
+        this.holidayCache.set(year, holidays);
+        return holidays;
     }
 
-    calculateStartTime(hoursFromStart) {
-        const startHour = 9; // 9時開始
-        const totalMinutes = hoursFromStart * 60;
-        const hours = Math.floor(totalMinutes / 60);
-        const minutes = totalMinutes % 60;
-        
-        const startTime = new Date();
-        startTime.setHours(startHour + hours, minutes, 0, 0);
-        
-        return startTime.toTimeString().slice(0, 5);
+    getEquinoxDay(year, season) {
+        const constants = season === 'spring' ?
+            (year < 1980 ? 20.8357 : year < 2100 ? 20.8431 : 21.8510) :
+            (year < 1980 ? 23.2588 : year < 2100 ? 23.2488 : 24.2488);
+        const leapBase = year < 1980 ? 1983 : 1980;
+        return Math.floor(constants + 0.242194 * (year - 1980) - Math.floor((year - leapBase) / 4));
     }
 
-    displaySchedule(schedule) {
+    displaySchedule(schedule, lateTasks = []) {
         const container = document.getElementById('scheduleResult');
         
         if (schedule.length === 0) {
@@ -1529,7 +5165,7 @@ class TodoApp {
             return;
         }
 
-        const totalHours = schedule.reduce((sum, day) => sum + day.totalHours, 0);
+        const totalHours = Math.round(schedule.reduce((sum, day) => sum + day.totalHours, 0) * 100) / 100;
         const totalDays = schedule.length;
 
         const summary = `
@@ -1538,19 +5174,41 @@ class TodoApp {
                 <p>総作業時間: ${totalHours}時間</p>
                 <p>必要日数: ${totalDays}日</p>
                 <p>平均作業時間/日: ${(totalHours / totalDays).toFixed(1)}時間</p>
+                <button class="generate-btn" onclick="todoApp.saveSchedule()">
+                    <i class="fas fa-save"></i> この計画を保存
+                </button>
             </div>
         `;
 
+        const lateById = new Map(lateTasks.map(late => [late.id, late]));
+        const warnings = lateTasks.length > 0 ? `
+            <div class="schedule-warnings">
+                <h4><i class="fas fa-exclamation-triangle"></i> 期限に間に合わないタスク (${lateTasks.length})</h4>
+                <ul>
+                    ${lateTasks.map(late => `
+                        <li>
+                            <strong>${this.escapeHtml(late.text)}</strong>
+                            期限 ${this.formatDate(late.deadline)} → 完了予定 ${this.formatDate(this.formatDateForComparison(late.finishDate))}（${late.daysLate}日遅れ）
+                            ${late.reason === 'before-start' ?
+                                '<span class="schedule-warning-fix">期限が開始日より前のため間に合いません</span>' :
+                                `<button class="schedule-warning-calc" onclick="todoApp.showRequiredWorkHours(${late.id}, this)">間に合わせるのに必要な作業時間を計算</button>`}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : '';
+
         const scheduleHTML = schedule.map(day => {
-            const dateStr = this.formatDate(day.date.toISOString().split('T')[0]);
+            const dateStr = this.formatDate(this.formatDateForComparison(day.date));
             const dayName = this.getDayName(day.date.getDay());
             
             const tasksHTML = day.tasks.map(task => `
-                <div class="schedule-task">
-                    <div class="schedule-task-time">${task.startTime}</div>
-                    <div class="schedule-task-text">${this.escapeHtml(task.text)}</div>
+                <div class="schedule-task ${lateById.has(task.id) ? 'late' : ''}">
+                    <div class="schedule-task-time">${(task.timeRanges || []).map(range => `${range.start}〜${range.end}`).join('<br>') || task.startTime}</div>
+                    <div class="schedule-task-text">${this.escapeHtml(task.text)}${task.partCount ? ` <span class="schedule-task-part" title="複数日に分割（全${task.time}時間）">分割 ${task.part}/${task.partCount}</span>` : ''}</div>
                     <span class="schedule-task-priority ${task.priority || 'medium'}">${this.getPriorityLabel(task.priority)}</span>
-                    <span class="todo-time">${task.time}時間</span>
+                    ${lateById.has(task.id) && task.part === task.partCount ? `<span class="schedule-task-late">${lateById.get(task.id).daysLate}日遅れ</span>` : ''}
+                    <span class="todo-time">${task.hours ?? task.time}時間</span>
                 </div>
             `).join('');
 
@@ -1567,7 +5225,7 @@ class TodoApp {
             `;
         }).join('');
 
-        container.innerHTML = summary + scheduleHTML;
+        container.innerHTML = summary + warnings + scheduleHTML;
     }
 
     formatDate(dateString) {
@@ -1681,14 +5339,19 @@ class TodoApp {
         const completedTasks = reportData.filter(t => t.completed).length;
         const totalTime = reportData.reduce((sum, t) => sum + (t.time || 0), 0);
         const avgTime = totalTasks > 0 ? (totalTime / totalTasks).toFixed(1) : 0;
+        const totalActual = Math.round(reportData.reduce((sum, t) => sum + this.getActualHours(t), 0) * 100) / 100;
+        const overall = this.calculateRollup(reportData);
+        const rollups = this.calculateRollups();
 
         const summary = `
             <div class="report-summary">
                 <h4>${title}</h4>
                 <p>総タスク数: ${totalTasks}</p>
-                <p>完了タスク数: ${completedTasks}</p>
+                <p>完了タスク数: ${completedTasks}（${overall.percent}%）</p>
+                <p>残り予測時間: ${overall.remainingTime}時間</p>
                 <p>総予測時間: ${totalTime}時間</p>
                 <p>平均予測時間: ${avgTime}時間</p>
+                <p>総実績時間: ${totalActual}時間（差異: ${this.formatVariance(totalActual - totalTime)}）</p>
             </div>
         `;
 
@@ -1698,8 +5361,11 @@ class TodoApp {
                     <tr>
                         <th>タスク名</th>
                         <th>ステータス</th>
+                        <th>進捗</th>
                         <th>優先度</th>
                         <th>予測時間</th>
+                        <th>実績時間</th>
+                        <th>差異</th>
                         <th>期限</th>
                         <th>完了日</th>
                         <th>コメント</th>
@@ -1710,8 +5376,11 @@ class TodoApp {
                         <tr>
                             <td>${this.escapeHtml(todo.text)}</td>
                             <td class="status-${todo.status || 'not-started'}">${this.getStatusLabel(todo.status)}</td>
+                            <td>${this.formatRollupSummary(this.getRollup(todo, rollups))}</td>
                             <td class="priority-${todo.priority || 'medium'}">${this.getPriorityLabel(todo.priority)}</td>
                             <td>${todo.time || 0}時間</td>
+                            <td>${this.getActualHours(todo)}時間</td>
+                            <td class="${this.getActualHours(todo) > (todo.time || 0) ? 'variance-over' : 'variance-under'}">${this.formatVariance(this.getActualHours(todo) - (todo.time || 0))}</td>
                             <td>${todo.deadline ? this.formatDate(todo.deadline) : '-'}</td>
                             <td>${todo.completedDate || '-'}</td>
                             <td>${todo.comment ? this.escapeHtml(todo.comment) : '-'}</td>
@@ -1729,37 +5398,661 @@ class TodoApp {
         this.currentReportTitle = title;
     }
 
+    formatRollupSummary(rollup) {
+        return rollup ? `${rollup.percent}% (${rollup.completed}/${rollup.total})` : '-';
+    }
+
     exportReport() {
         if (!this.currentReportData || this.currentReportData.length === 0) {
             this.showNotification('エクスポートするデータがありません', 'error');
             return;
         }
 
-        const headers = ['タスク名', 'ステータス', '優先度', '予測時間', '期限', '完了日', 'コメント'];
+        const headers = ['タスク名', 'ステータス', '進捗', '残り時間', '優先度', '予測時間', '実績時間', '差異', '期限', '完了日', 'コメント'];
+        const rollups = this.calculateRollups();
         const csvData = [
             headers.join(','),
-            ...this.currentReportData.map(todo => [
-                `"${todo.text.replace(/"/g, '""')}"`,
-                this.getStatusLabel(todo.status),
-                this.getPriorityLabel(todo.priority),
-                `${todo.time || 0}時間`,
-                todo.deadline ? this.formatDate(todo.deadline) : '',
-                todo.completedDate || '',
-                `"${(todo.comment || '').replace(/"/g, '""')}"`
-            ].join(','))
+            ...this.currentReportData.map(todo => {
+                const rollup = this.getRollup(todo, rollups);
+                return [
+                    `"${todo.text.replace(/"/g, '""')}"`,
+                    this.getStatusLabel(todo.status),
+                    this.formatRollupSummary(rollup),
+                    rollup ? `${rollup.remainingTime}時間` : '',
+                    this.getPriorityLabel(todo.priority),
+                    `${todo.time || 0}時間`,
+                    `${this.getActualHours(todo)}時間`,
+                    this.formatVariance(this.getActualHours(todo) - (todo.time || 0)),
+                    todo.deadline ? this.formatDate(todo.deadline) : '',
+                    todo.completedDate || '',
+                    `"${(todo.comment || '').replace(/"/g, '""')}"`
+                ].join(',');
+            })
         ].join('\n');
 
-        const blob = new Blob(['\uFEFF' + csvData], { type: 'text/csv;charset=utf-8;' });
+        this.downloadFile('\uFEFF' + csvData, `${this.currentReportTitle}_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8;');
+
+        this.showNotification('CSVファイルをダウンロードしました', 'success');
+    }
+
+    // ファイルをダウンロードさせるヘルパー関数
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: type });
         const link = document.createElement('a');
         const url = URL.createObjectURL(blob);
         link.setAttribute('href', url);
-        link.setAttribute('download', `${this.currentReportTitle}_${new Date().toISOString().split('T')[0]}.csv`);
+        link.setAttribute('download', filename);
         link.style.visibility = 'hidden';
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
 
-        this.showNotification('CSVファイルをダウンロードしました', 'success');
+    // ファイルをテキストとして読み込むヘルパー関数
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // 下位項目のIDをすべて取得する
+    getDescendantIds(id, todos = this.todos) {
+        const ids = [];
+        const queue = [id];
+        while (queue.length > 0) {
+            const parentId = queue.shift();
+            todos.forEach(todo => {
+                if (todo.parentId === parentId && todo.id !== id && !ids.includes(todo.id)) {
+                    ids.push(todo.id);
+                    queue.push(todo.id);
+                }
+            });
+        }
+        return ids;
+    }
+
+    // ゴミ箱機能
+    async moveToTrash(ids) {
+        const deletedAt = new Date().toISOString();
+        const items = this.todos
+            .filter(todo => ids.includes(todo.id))
+            .map(todo => ({ ...todo, deletedAt: deletedAt }));
+
+        await this.writeStores({
+            todos: { remove: items.map(item => item.id) },
+            trash: { put: items }
+        });
+    }
+
+    // ゴミ箱から復元する（下位項目も一緒に戻し、親項目がない場合は最上位に戻す）
+    async restoreFromTrash(ids) {
+        const restoredIds = new Set(ids);
+        const existingIds = new Set(this.todos.map(todo => todo.id));
+        let detached = 0;
+
+        const todos = this.trash
+            .filter(item => restoredIds.has(item.id))
+            .map(item => {
+                const { deletedAt, ...todo } = item;
+                if (todo.parentId !== null && !existingIds.has(todo.parentId) && !restoredIds.has(todo.parentId)) {
+                    todo.parentId = null;
+                    detached++;
+                }
+                return todo;
+            });
+
+        await this.writeStores({
+            todos: { put: todos },
+            trash: { remove: todos.map(todo => todo.id) }
+        });
+
+        return { restored: todos.length, detached: detached };
+    }
+
+    async purgeTrash(ids) {
+        await this.writeStores({ trash: { remove: ids } });
+    }
+
+    async purgeExpiredTrash() {
+        if (!this.trashRetentionDays || this.trashRetentionDays <= 0) return;
+
+        const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const expiredIds = this.trash
+            .filter(item => new Date(item.deletedAt).getTime() < cutoff)
+            .map(item => item.id);
+
+        if (expiredIds.length > 0) {
+            await this.purgeTrash(expiredIds);
+            this.showNotification(`ゴミ箱から${expiredIds.length}個のタスクを自動削除しました`, 'info');
+        }
+    }
+
+    openTrashModal() {
+        document.getElementById('trashRetentionDays').value = this.trashRetentionDays;
+        this.renderTrash();
+        document.getElementById('trashModal').style.display = 'block';
+    }
+
+    closeTrashModal() {
+        document.getElementById('trashModal').style.display = 'none';
+    }
+
+    renderTrash() {
+        const container = document.getElementById('trashList');
+
+        if (this.trash.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #6b7280; font-style: italic;">ゴミ箱は空です</p>';
+            return;
+        }
+
+        // 親項目がゴミ箱にないものを起点に階層表示する
+        const trashIds = new Set(this.trash.map(item => item.id));
+        const roots = this.trash
+            .filter(item => item.parentId === null || !trashIds.has(item.parentId))
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+        // 階層は削除時の親子関係から求める（親項目が残っていればその下の階層として数える）
+        container.innerHTML = roots.map(root => this.getTrashItemHTML(root, 0, this.getLevel(root))).join('');
+    }
+
+    getTrashItemHTML(item, depth, level) {
+        const children = this.trash.filter(child => child.parentId === item.id);
+        const deletedAt = new Date(item.deletedAt);
+        const actions = depth === 0 ? `
+            <div class="todo-actions">
+                <button class="todo-btn restore" onclick="todoApp.restoreTrashItem(${item.id})" title="復元">
+                    <i class="fas fa-undo"></i>
+                </button>
+                <button class="todo-btn delete" onclick="todoApp.purgeTrashItem(${item.id})" title="完全に削除">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        ` : '';
+
+        return `
+            <div class="trash-item" style="margin-left: ${depth * 1.5}rem;">
+                <span class="todo-category ${this.getLevelCategory(level)}">${this.getLevelLabel(level)}</span>
+                <span class="trash-item-text">${this.escapeHtml(item.text)}</span>
+                <span class="trash-item-date">${this.formatDate(item.deletedAt)} ${deletedAt.toTimeString().slice(0, 5)}</span>
+                ${actions}
+            </div>
+            ${children.map(child => this.getTrashItemHTML(child, depth + 1, level + 1)).join('')}
+        `;
+    }
+
+    async restoreTrashItem(id) {
+        const item = this.trash.find(t => t.id === id);
+        if (!item) return;
+
+        const history = this.beginHistory('ゴミ箱から復元');
+        try {
+            this.showLoading();
+            const result = await this.restoreFromTrash([id, ...this.getDescendantIds(id, this.trash)]);
+            this.hideLoading();
+            this.renderTrash();
+            const message = result.detached > 0 ?
+                `「${item.text}」を復元しました（親項目がないため最上位に戻しました）` :
+                `「${item.text}」を復元しました`;
+            this.showNotification(message, 'success', this.getUndoAction());
+        } catch (error) {
+            this.hideLoading();
+            console.error('Error restoring todo:', error);
+            this.showNotification('タスクの復元に失敗しました', 'error');
+        } finally {
+            this.commitHistory(history);
+        }
+    }
+
+    async purgeTrashItem(id) {
+        const item = this.trash.find(t => t.id === id);
+        if (!item) return;
+
+        const ids = [id, ...this.getDescendantIds(id, this.trash)];
+        const confirmed = confirm(`「${item.text}」${ids.length > 1 ? `と下位項目${ids.length - 1}個` : ''}を完全に削除しますか？この操作は元に戻せません。`);
+        if (!confirmed) return;
+
+        try {
+            await this.purgeTrash(ids);
+            this.renderTrash();
+            this.updateStats();
+            this.showNotification('タスクを完全に削除しました');
+        } catch (error) {
+            console.error('Error purging todo:', error);
+            this.showNotification('タスクの削除に失敗しました', 'error');
+        }
+    }
+
+    async emptyTrash() {
+        if (this.trash.length === 0) return;
+
+        const confirmed = confirm(`ゴミ箱の${this.trash.length}個のタスクを完全に削除しますか？この操作は元に戻せません。`);
+        if (!confirmed) return;
+
+        try {
+            await this.purgeTrash(this.trash.map(item => item.id));
+            this.renderTrash();
+            this.updateStats();
+            this.showNotification('ゴミ箱を空にしました');
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            this.showNotification('ゴミ箱を空にできませんでした', 'error');
+        }
+    }
+
+    async saveTrashRetention(value) {
+        const days = Math.max(0, parseInt(value) || 0);
+        this.trashRetentionDays = days;
+        localStorage.setItem('todoApp_trashRetentionDays', String(days));
+
+        try {
+            await this.purgeExpiredTrash();
+            this.renderTrash();
+            this.updateStats();
+        } catch (error) {
+            console.error('Error purging trash:', error);
+        }
+    }
+
+    // バックアップ機能
+    openBackupModal() {
+        document.getElementById('backupModal').style.display = 'block';
+    }
+
+    closeBackupModal() {
+        document.getElementById('backupModal').style.display = 'none';
+        document.getElementById('backupFile').value = '';
+        document.getElementById('backupResult').innerHTML = '';
+    }
+
+    createBackup() {
+        return {
+            format: this.backupFormat,
+            version: this.backupVersion,
+            exportedAt: new Date().toISOString(),
+            storage: this.useLocalStorage ? 'localStorage' : 'indexedDB',
+            count: this.todos.length,
+            todos: this.todos.map(todo => ({ ...todo }))
+        };
+    }
+
+    exportBackup() {
+        const backup = this.createBackup();
+        const json = JSON.stringify(backup, null, 2);
+        this.downloadFile(json, `todo-backup_${new Date().toISOString().split('T')[0]}.json`, 'application/json;charset=utf-8;');
+        this.showNotification(`${backup.count}個のタスクをバックアップしました`, 'success');
+    }
+
+    parseBackup(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('JSONの形式が正しくありません');
+        }
+
+        // localStorageの生データ（配列のみ）はバージョン0として扱う
+        if (Array.isArray(data)) {
+            data = { format: this.backupFormat, version: 0, todos: data };
+        }
+
+        if (!data || data.format !== this.backupFormat) {
+            throw new Error('TODOアプリのバックアップファイルではありません');
+        }
+        if (typeof data.version !== 'number' || data.version > this.backupVersion) {
+            throw new Error(`未対応のバックアップバージョンです（${data.version}）`);
+        }
+        if (!Array.isArray(data.todos)) {
+            throw new Error('タスクデータが見つかりません');
+        }
+
+        return data;
+    }
+
+    // バックアップのレコードをaddTodoと同じ形式に揃える
+    normalizeBackupTodo(raw) {
+        if (!raw || typeof raw !== 'object' || typeof raw.text !== 'string' || raw.text.trim() === '') {
+            return null;
+        }
+
+        const completed = !!raw.completed;
+        return {
+            ...raw,
+            text: raw.text.trim(),
+            completed: completed,
+            category: raw.category || 'major',
+            parentId: raw.parentId !== undefined ? raw.parentId : null,
+            priority: ['high', 'medium', 'low'].includes(raw.priority) ? raw.priority : 'medium',
+            status: raw.status || 'not-started',
+            time: parseFloat(raw.time) || 0,
+            deadline: raw.deadline || '',
+            comment: raw.comment || '',
+            recurrence: raw.recurrence || null,
+            tags: Array.isArray(raw.tags) ? this.parseTags(raw.tags.join(',')) : [],
+            blockedBy: Array.isArray(raw.blockedBy) ? raw.blockedBy : [],
+            sessions: Array.isArray(raw.sessions) ? raw.sessions : [],
+            createdAt: raw.createdAt || new Date().toISOString(),
+            completedAt: completed ? (raw.completedAt || null) : null
+        };
+    }
+
+    // 親が子より先に保存されるように並べ替える（循環参照は切断して報告）
+    orderByHierarchy(records, conflicts) {
+        const ids = new Set(records.map(t => t.id));
+        const placed = new Set();
+        const ordered = [];
+        let pending = [...records];
+
+        while (pending.length > 0) {
+            const ready = pending.filter(t => t.parentId === null || !ids.has(t.parentId) || placed.has(t.parentId));
+
+            if (ready.length === 0) {
+                const broken = pending[0];
+                conflicts.push({ type: 'cycle', text: broken.text });
+                broken.parentId = null;
+                continue;
+            }
+
+            ready.forEach(t => {
+                ordered.push(t);
+                placed.add(t.id);
+            });
+            pending = pending.filter(t => !ready.includes(t));
+        }
+
+        return ordered;
+    }
+
+    getBackupKey(todo) {
+        return `${todo.text}\u0000${todo.createdAt}`;
+    }
+
+    async importBackup(backup, mode = 'merge') {
+        const result = { added: 0, skipped: 0, conflicts: [] };
+        const records = [];
+        const seenIds = new Set();
+
+        backup.todos.forEach((raw, index) => {
+            const todo = this.normalizeBackupTodo(raw);
+            if (!todo) {
+                result.conflicts.push({ type: 'invalid', text: `${index + 1}件目` });
+                result.skipped++;
+                return;
+            }
+            // IDがない・重複しているレコードは子から参照できないため新しいキーを振る
+            if (todo.id === undefined || todo.id === null || seenIds.has(todo.id)) {
+                if (todo.id !== undefined && todo.id !== null) {
+                    result.conflicts.push({ type: 'duplicate-id', text: todo.text });
+                }
+                todo.id = `import-${index}`;
+            }
+            seenIds.add(todo.id);
+            records.push(todo);
+        });
+
+        const ordered = this.orderByHierarchy(records, result.conflicts);
+
+        // 置換時は既存のタスクをゴミ箱へ移し、取り込みと同じトランザクションで反映する
+        const replaced = mode === 'replace' ? this.todos : [];
+        const existing = new Map((mode === 'replace' ? [] : this.todos).map(t => [this.getBackupKey(t), t.id]));
+        const nextId = this.createTodoIdAllocator();
+        const idMap = new Map();
+        const added = [];
+
+        for (const record of ordered) {
+            // 繰り返しの次回分の参照は取り込み後のIDと一致しないため引き継がない
+            const { id: oldId, nextOccurrenceId, ...todo } = record;
+
+            if (todo.parentId !== null) {
+                if (idMap.has(todo.parentId)) {
+                    todo.parentId = idMap.get(todo.parentId);
+                } else {
+                    result.conflicts.push({ type: 'missing-parent', text: todo.text });
+                    todo.parentId = null;
+                }
+            }
+
+            // 統合時、同じタスク（名前と作成日時が一致）は取り込まず既存のIDに紐付ける
+            const key = this.getBackupKey(todo);
+            if (existing.has(key)) {
+                idMap.set(oldId, existing.get(key));
+                result.conflicts.push({ type: 'duplicate', text: todo.text });
+                result.skipped++;
+                continue;
+            }
+
+            todo.id = nextId();
+            idMap.set(oldId, todo.id);
+            added.push(todo);
+            result.added++;
+        }
+
+        // 依存関係は後から取り込んだタスクも参照するため、すべてのIDが決まってから付け替える
+        added.filter(todo => todo.blockedBy.length > 0).forEach(todo => {
+            todo.blockedBy = todo.blockedBy.filter(id => idMap.has(id)).map(id => idMap.get(id));
+        });
+
+        // 途中で失敗しても既存のタスクが消えたり一部だけ取り込まれたりしないよう、まとめて書き込む
+        const deletedAt = new Date().toISOString();
+        await this.writeStores({
+            todos: { put: added, remove: replaced.map(todo => todo.id) },
+            ...(replaced.length > 0 ? { trash: { put: replaced.map(todo => ({ ...todo, deletedAt: deletedAt })) } } : {})
+        });
+
+        return result;
+    }
+
+    async handleImportBackup() {
+        const fileInput = document.getElementById('backupFile');
+        const file = fileInput.files[0];
+        const modeInput = document.querySelector('input[name="backupMode"]:checked');
+        const mode = modeInput ? modeInput.value : 'merge';
+
+        if (!file) {
+            this.showNotification('バックアップファイルを選択してください', 'warning');
+            return;
+        }
+
+        let backup;
+        try {
+            backup = this.parseBackup(await this.readFileAsText(file));
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        if (mode === 'replace') {
+            const confirmed = confirm(`現在の${this.todos.length}個のタスクをゴミ箱に移し、バックアップの${backup.todos.length}個のタスクに置き換えますか？`);
+            if (!confirmed) return;
+        }
+
+        const history = this.beginHistory('バックアップのインポート');
+        try {
+            this.showLoading();
+            const result = await this.importBackup(backup, mode);
+            this.hideLoading();
+            this.displayImportResult(result);
+            this.showNotification(`${result.added}個のタスクをインポートしました`, 'success', this.getUndoAction());
+        } catch (error) {
+            this.hideLoading();
+            console.error('Error importing backup:', error);
+            this.showNotification('バックアップのインポートに失敗しました', 'error');
+        } finally {
+            // 途中まで反映された変更も元に戻せるように記録する
+            this.commitHistory(history);
+        }
+    }
+
+    displayImportResult(result) {
+        const container = document.getElementById('backupResult');
+        const labels = {
+            invalid: 'タスク名がないため取り込みませんでした',
+            'duplicate-id': 'IDが重複していたため新しいIDを割り当てました',
+            duplicate: '同じタスクが既に存在するため取り込みませんでした',
+            'missing-parent': '親項目が見つからないため最上位に移動しました',
+            cycle: '親子関係が循環していたため親項目を解除しました'
+        };
+
+        const conflictsHTML = result.conflicts.length > 0 ? `
+            <ul class="backup-conflicts">
+                ${result.conflicts.map(conflict => `
+                    <li class="backup-conflict ${conflict.type}">
+                        <span class="backup-conflict-text">${this.escapeHtml(conflict.text)}</span>
+                        <span class="backup-conflict-reason">${labels[conflict.type]}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        container.innerHTML = `
+            <div class="report-summary">
+                <h4>インポート結果</h4>
+                <p>追加: ${result.added}件</p>
+                <p>スキップ: ${result.skipped}件</p>
+                <p>競合: ${result.conflicts.length}件</p>
+            </div>
+            ${conflictsHTML}
+        `;
+    }
+
+    // iCalendar（RFC 5545）形式での書き出し
+    // 保存した計画はVEVENT、未完了のタスクはVTODOとして出力する
+    createICalendar(now = new Date()) {
+        const stamp = this.formatICalDateTime(now);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//kasama-todo-app//TODO App//JA',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:TODOアプリ'
+        ];
+        const openTodos = this.todos.filter(todo => !todo.completed);
+
+        const toDate = (date, time) => {
+            const result = this.parseLocalDate(date);
+            const [hour, minute] = time.split(':').map(Number);
+            result.setHours(hour, minute, 0, 0);
+            return result;
+        };
+
+        openTodos.forEach(todo => {
+            // 休憩をまたがないよう作業時間帯ごとに1件の予定にする（時間帯のない古い予定は開始〜終了の1件）
+            const ranges = (todo.plan ? todo.plan.chunks : []).flatMap(chunk =>
+                (chunk.ranges && chunk.ranges.length > 0 ? chunk.ranges : [{ start: chunk.startTime, end: chunk.endTime }])
+                    .map(range => ({ date: chunk.date, start: range.start, end: range.end })));
+
+            ranges.forEach((range, index) => {
+                const start = toDate(range.date, range.start);
+                const end = toDate(range.date, range.end);
+
+                lines.push(
+                    'BEGIN:VEVENT',
+                    // 再計画して日時が変わっても同じ予定として更新されるよう、タスクIDと何件目の予定かから作る
+                    `UID:${this.getICalUid(todo, `plan-${index + 1}`)}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART:${this.formatICalDateTime(start)}`,
+                    `DTEND:${this.formatICalDateTime(end)}`,
+                    `SUMMARY:${this.escapeICalText(todo.text)}`,
+                    ...(todo.comment ? [`DESCRIPTION:${this.escapeICalText(todo.comment)}`] : []),
+                    `RELATED-TO:${this.getICalUid(todo)}`,
+                    'TRANSP:OPAQUE',
+                    'END:VEVENT'
+                );
+            });
+        });
+
+        const todosById = new Map(this.todos.map(todo => [todo.id, todo]));
+        openTodos.forEach(todo => {
+            const deadline = this.normalizeDeadline(todo.deadline);
+            const priority = { high: 1, medium: 5, low: 9 }[todo.priority] || 0;
+            const parent = todosById.get(todo.parentId);
+
+            lines.push(
+                'BEGIN:VTODO',
+                `UID:${this.getICalUid(todo)}`,
+                `DTSTAMP:${stamp}`,
+                ...(todo.createdAt ? [`CREATED:${this.formatICalDateTime(new Date(todo.createdAt))}`] : []),
+                `SUMMARY:${this.escapeICalText(todo.text)}`,
+                ...(todo.comment ? [`DESCRIPTION:${this.escapeICalText(todo.comment)}`] : []),
+                ...(deadline ? [`DUE;VALUE=DATE:${deadline.replace(/-/g, '')}`] : []),
+                `PRIORITY:${priority}`,
+                `STATUS:${todo.status === 'in-progress' ? 'IN-PROCESS' : 'NEEDS-ACTION'}`,
+                ...(todo.time ? [`X-TODOAPP-ESTIMATE:${todo.time}`] : []),
+                ...((todo.tags || []).length > 0 ? [`CATEGORIES:${todo.tags.map(tag => this.escapeICalText(tag)).join(',')}`] : []),
+                ...(parent ? [`RELATED-TO;RELTYPE=PARENT:${this.getICalUid(parent)}`] : []),
+                'END:VTODO'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        // 行末はCRLF、75オクテットを超える行は折り返す
+        return lines.map(line => this.foldICalLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // 他のツールから取り込んだタスクは元のUIDを使い、書き出し直しても同じToDoになるようにする
+    getICalUid(todo, suffix = '') {
+        if (todo.icalUid && !suffix) return todo.icalUid;
+        return `todo-${todo.id}${suffix ? `-${suffix}` : ''}@kasama-todo-app`;
+    }
+
+    // UTCの日時（例: 20261019T000000Z）
+    formatICalDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeICalText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // 1行75オクテット以内に収まるよう、マルチバイト文字を分断せずに折り返す
+    foldICalLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74; // 継続行は先頭の空白を含めて75オクテット
+            if (currentBytes + bytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    exportICalendar() {
+        const openTodos = this.todos.filter(todo => !todo.completed);
+        if (openTodos.length === 0) {
+            this.showNotification('書き出す未完了のタスクがありません', 'info');
+            return;
+        }
+
+        const eventCount = openTodos.reduce((sum, todo) => sum + (todo.plan ? todo.plan.chunks.length : 0), 0);
+        this.downloadFile(this.createICalendar(), `todo-calendar_${new Date().toISOString().split('T')[0]}.ics`, 'text/calendar;charset=utf-8;');
+        this.showNotification(`${openTodos.length}件のタスクと${eventCount}件の予定を書き出しました`, 'success');
     }
 
     getPriorityLabel(priority) {
@@ -1803,10 +6096,26 @@ class TodoApp {
             });
         }
 
+        // 検索
+        const searchInput = document.getElementById('searchInput');
+        searchInput.value = this.searchQuery;
+        searchInput.addEventListener('input', (e) => this.setSearchQuery(e.target.value));
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                searchInput.value = '';
+                this.setSearchQuery('');
+            }
+        });
+        document.getElementById('clearSearch').addEventListener('click', () => {
+            searchInput.value = '';
+            this.setSearchQuery('');
+            searchInput.focus();
+        });
+
         // フィルター
         document.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                this.setFilter(e.target.dataset.filter);
+                this.setFilter(e.currentTarget.dataset.filter);
             });
         });
 
@@ -1820,6 +6129,54 @@ class TodoApp {
         document.getElementById('closeEmailModal').addEventListener('click', () => this.closeEmailModal());
         document.getElementById('analyzeEmail').addEventListener('click', () => this.analyzeEmail());
         document.getElementById('clearEmail').addEventListener('click', () => this.clearEmailForm());
+        document.getElementById('emlFile').addEventListener('change', (e) => this.importEmailFile(e.target.files[0]));
+        document.getElementById('openRules').addEventListener('click', () => this.openRulesModal());
+        document.getElementById('includeQuoted').addEventListener('change', () => {
+            // 解析済みなら切り替えた設定で解析し直す
+            if (document.getElementById('extractedTodos').innerHTML.trim()) {
+                this.analyzeEmail();
+            }
+        });
+
+        // 抽出ルール
+        document.getElementById('closeRulesModal').addEventListener('click', () => this.closeRulesModal());
+        document.getElementById('ruleType').addEventListener('change', (e) => this.setRuleType(e.target.value));
+        document.getElementById('addRule').addEventListener('click', () => this.addRule());
+        document.getElementById('newRulePattern').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addRule();
+        });
+        document.getElementById('ruleSampleSubject').addEventListener('input', () => this.renderRulePreview());
+        document.getElementById('ruleSampleBody').addEventListener('input', () => this.renderRulePreview());
+        document.getElementById('resetRules').addEventListener('click', () => this.resetRules());
+        document.getElementById('saveRules').addEventListener('click', () => this.saveRules());
+        document.getElementById('exportRules').addEventListener('click', () => this.exportRules());
+        document.getElementById('rulesFile').addEventListener('change', (e) => this.importRules(e.target.files[0]));
+        document.getElementById('rulesModal').addEventListener('click', (e) => {
+            if (e.target.id === 'rulesModal') {
+                this.closeRulesModal();
+            }
+        });
+
+        // 元のメール
+        document.getElementById('closeSourceModal').addEventListener('click', () => this.closeSourceModal());
+        document.getElementById('sourceModal').addEventListener('click', (e) => {
+            if (e.target.id === 'sourceModal') {
+                this.closeSourceModal();
+            }
+        });
+
+        // .emlファイルのドラッグ＆ドロップ
+        const emlDropZone = document.getElementById('emlDropZone');
+        emlDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            emlDropZone.classList.add('drag-over');
+        });
+        emlDropZone.addEventListener('dragleave', () => emlDropZone.classList.remove('drag-over'));
+        emlDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            emlDropZone.classList.remove('drag-over');
+            this.importEmailFile(e.dataTransfer.files[0]);
+        });
         
         // メールモーダル内のイベント委譲
         document.getElementById('emailModal').addEventListener('click', (e) => {
@@ -1842,12 +6199,27 @@ class TodoApp {
         document.getElementById('scheduleBtn').addEventListener('click', () => this.openScheduleModal());
         document.getElementById('closeScheduleModal').addEventListener('click', () => this.closeScheduleModal());
         document.getElementById('generateSchedule').addEventListener('click', () => this.generateSchedule());
+        document.getElementById('startDate').addEventListener('change', () => this.renderNationalHolidays());
 
         // レポート機能
         document.getElementById('closeReportModal').addEventListener('click', () => this.closeReportModal());
         document.getElementById('generateAllReport').addEventListener('click', () => this.generateAllReport());
         document.getElementById('generateCompletedReport').addEventListener('click', () => this.generateCompletedReport());
         document.getElementById('exportReport').addEventListener('click', () => this.exportReport());
+
+        // ゴミ箱機能
+        document.getElementById('openTrash').addEventListener('click', () => this.openTrashModal());
+        document.getElementById('closeTrashModal').addEventListener('click', () => this.closeTrashModal());
+        document.getElementById('emptyTrash').addEventListener('click', () => this.emptyTrash());
+        document.getElementById('trashRetentionDays').addEventListener('change', (e) => this.saveTrashRetention(e.target.value));
+
+        // バックアップ機能
+        document.getElementById('openBackup').addEventListener('click', () => this.openBackupModal());
+        document.getElementById('closeBackupModal').addEventListener('click', () => this.closeBackupModal());
+        document.getElementById('exportBackup').addEventListener('click', () => this.exportBackup());
+        document.getElementById('exportICalendar').addEventListener('click', () => this.exportICalendar());
+        document.getElementById('previewICalendar').addEventListener('click', () => this.previewICalendar());
+        document.getElementById('importBackup').addEventListener('click', () => this.handleImportBackup());
         
         // モーダル外クリックで閉じる
         document.getElementById('emailModal').addEventListener('click', (e) => {
@@ -1868,12 +6240,30 @@ class TodoApp {
             }
         });
         
+        document.getElementById('trashModal').addEventListener('click', (e) => {
+            if (e.target.id === 'trashModal') {
+                this.closeTrashModal();
+            }
+        });
+        
+        document.getElementById('backupModal').addEventListener('click', (e) => {
+            if (e.target.id === 'backupModal') {
+                this.closeBackupModal();
+            }
+        });
+        
         document.getElementById('editModal').addEventListener('click', (e) => {
             if (e.target.id === 'editModal') {
                 this.closeEditModal();
             }
         });
         
+        document.getElementById('deleteModal').addEventListener('click', (e) => {
+            if (e.target.id === 'deleteModal') {
+                this.closeDeleteModal();
+            }
+        });
+        
         document.getElementById('extractedEditModal').addEventListener('click', (e) => {
             if (e.target.id === 'extractedEditModal') {
                 this.closeExtractedEditModal();
@@ -1883,19 +6273,25 @@ class TodoApp {
         // 開始日のデフォルト値を設定
         document.getElementById('startDate').value = new Date().toISOString().split('T')[0];
         
-        // カテゴリ選択時の親項目更新
-        document.getElementById('todoCategory').addEventListener('change', (e) => {
-            this.updateParentOptions(e.target.value);
-        });
-        
         // 編集モーダルのイベントリスナー
         document.getElementById('closeEditModal').addEventListener('click', () => this.closeEditModal());
+        
+        // 削除方法の選択モーダル
+        document.getElementById('closeDeleteModal').addEventListener('click', () => this.closeDeleteModal());
+        document.getElementById('confirmDelete').addEventListener('click', () => this.confirmDelete());
+        document.getElementById('cancelDelete').addEventListener('click', () => this.closeDeleteModal());
         document.getElementById('saveEdit').addEventListener('click', () => this.saveEdit());
         document.getElementById('cancelEdit').addEventListener('click', () => this.closeEditModal());
+        document.getElementById('editBlockedBySelect').addEventListener('change', (e) => this.addEditBlockedBy(e.target.value));
         
-        // 編集モーダルのカテゴリ変更時の親項目更新
-        document.getElementById('editCategory').addEventListener('change', (e) => {
-            this.updateEditParentOptions(e.target.value);
+        // タグ入力の候補表示
+        this.setupTagAutocomplete('todoTags');
+        this.setupTagAutocomplete('editTags');
+        
+        // 繰り返し設定の詳細表示
+        ['todo', 'edit'].forEach(prefix => {
+            document.getElementById(`${prefix}Recurrence`).addEventListener('change', () => this.updateRecurrenceOptions(prefix));
+            document.getElementById(`${prefix}RecurrenceMonthMode`).addEventListener('change', () => this.updateRecurrenceOptions(prefix));
         });
         
         // コメント機能のイベントリスナー
@@ -1945,25 +6341,24 @@ class TodoApp {
 
     handleAddTodo() {
         const input = document.getElementById('todoInput');
-        const categoryInput = document.getElementById('todoCategory');
         const parentInput = document.getElementById('todoParent');
         const priorityInput = document.getElementById('todoPriority');
         const timeInput = document.getElementById('todoTime');
         const deadlineInput = document.getElementById('todoDeadline');
         
         const text = input ? input.value.trim() : '';
-        const category = categoryInput ? categoryInput.value || 'major' : 'major';
-        const parentId = parentInput && parentInput.value ? parseInt(parentInput.value) : null;
+        const parentId = parentInput && parentInput.value ? Number(parentInput.value) : null;
         const priority = priorityInput ? priorityInput.value || 'medium' : 'medium';
         const status = document.getElementById('todoStatus') ? document.getElementById('todoStatus').value || 'not-started' : 'not-started';
         const time = timeInput ? parseFloat(timeInput.value) || 0 : 0;
         const deadline = deadlineInput ? deadlineInput.value || '' : '';
         const comment = document.getElementById('todoComment') ? document.getElementById('todoComment').value || '' : '';
+        const recurrence = this.readRecurrenceForm('todo');
+        const tags = this.parseTags(document.getElementById('todoTags').value);
         
         if (text) {
-            this.addTodo(text, category, parentId, priority, status, time, deadline, comment);
+            this.addTodo(text, parentId, priority, status, time, deadline, comment, recurrence, tags);
             input.value = '';
-            categoryInput.value = '';
             parentInput.value = '';
             priorityInput.value = '';
             document.getElementById('todoStatus').value = '';
@@ -1971,6 +6366,8 @@ class TodoApp {
             deadlineInput.value = '';
             document.getElementById('todoComment').value = '';
             document.getElementById('commentSection').style.display = 'none';
+            this.fillRecurrenceForm('todo', null);
+            document.getElementById('todoTags').value = '';
             input.focus();
         }
     }
@@ -1995,6 +6392,21 @@ document.addEventListener('keydown', (e) => {
         }
     }
     
+    // Ctrl/Cmd + Z で元に戻す、Ctrl/Cmd + Shift + Z でやり直す
+    // （入力中はブラウザ標準のテキスト編集の取り消しを優先）
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        const target = e.target;
+        const isEditing = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+        if (!isEditing && todoApp) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                todoApp.redo();
+            } else {
+                todoApp.undo();
+            }
+        }
+    }
+    
     // Escape で入力フィールドをクリア
     if (e.key === 'Escape') {
         const todoInput = document.getElementById('todoInput');